@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
 import { script } from "./script.js";
+import { replayArguments } from "./lib/recording.js";
 import { run } from "@octoherd/cli/run";
 
+process.argv.push(...replayArguments(process.argv.slice(2)));
 run(script);
@@ -0,0 +1,238 @@
+// @ts-check
+
+import { createSign } from "crypto";
+import { readFileSync } from "fs";
+
+import { Octokit } from "@octoherd/cli";
+
+import { watchRequests } from "./recording.js";
+
+// Installation tokens last an hour. Get a new one a little before that.
+const tokenRefreshMarginMilliseconds = 5 * 60 * 1000;
+
+/**
+ * Octoherd calls `script()` once per repository, so approvers are kept here
+ * to reuse their clients and installation tokens across repositories.
+ *
+ * @type {Map<string, ReturnType<typeof createApprover>>}
+ */
+const approvers = new Map();
+
+/**
+ * @param {string} value
+ */
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+/**
+ * JSON Web Token a GitHub App authenticates as itself with, to get
+ * installation tokens.
+ *
+ * @param {string} appId
+ * @param {string} privateKey - PEM
+ */
+function createAppJwt(appId, privateKey) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+  // Backdated to allow for clock drift, as GitHub recommends.
+  const payload = base64url(
+    JSON.stringify({ iat: now - 60, exp: now + 9 * 60, iss: appId }),
+  );
+  const signature = createSign("RSA-SHA256")
+    .update(`${header}.${payload}`)
+    .sign(privateKey, "base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * @param {import('@octoherd/cli').Octokit} octokit - the script's client, for its logger and base URL
+ * @param {object} options
+ * @param {string} [options.token]
+ * @param {string} [options.appId]
+ * @param {string} [options.privateKey] - PEM, or path to a PEM file
+ */
+function createApprover(octokit, { token, appId, privateKey }) {
+  const clientOptions = {
+    baseUrl: octokit.request.endpoint.DEFAULTS.baseUrl,
+    log: octokit.log,
+  };
+  /**
+   * @param {string} auth
+   */
+  const createClient = (auth) => {
+    const client = new Octokit({ ...clientOptions, auth });
+    // --record and --replay cover the approver's requests too.
+    watchRequests(client);
+    return client;
+  };
+
+  if (token) {
+    const client = createClient(token);
+    return {
+      description: "--approverToken",
+      /**
+       * @param {object} baseParams - { owner, repo }
+       * @param {object} [options]
+       * @param {boolean} [options.dryRun]
+       * @returns {Promise<import('@octoherd/cli').Octokit | undefined>}
+       */
+      async forRepository(baseParams, options) {
+        return client;
+      },
+    };
+  }
+
+  if (!appId || !privateKey) {
+    throw new Error("--approverAppId and --approverPrivateKey go together");
+  }
+  const pem = privateKey.includes("-----BEGIN")
+    ? privateKey
+    : readFileSync(privateKey, "utf-8");
+
+  /** @type {Map<number, { client: import('@octoherd/cli').Octokit, expiresAt: number }>} */
+  const installations = new Map();
+
+  return {
+    description: `GitHub App ${appId}`,
+    /**
+     * The client for the installation on the repository's owner. Getting a
+     * new installation token is a POST the plan doesn't know about, so a dry
+     * run gets no client unless a token is at hand.
+     *
+     * @param {object} baseParams - { owner, repo }
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun]
+     * @returns {Promise<import('@octoherd/cli').Octokit | undefined>}
+     */
+    async forRepository(baseParams, { dryRun = false } = {}) {
+      const app = createClient(createAppJwt(appId, pem));
+      const {
+        data: { id: installationId },
+      } = await app.request(
+        "GET /repos/{owner}/{repo}/installation",
+        baseParams,
+      );
+
+      const cached = installations.get(installationId);
+      if (
+        cached &&
+        cached.expiresAt - Date.now() > tokenRefreshMarginMilliseconds
+      ) {
+        return cached.client;
+      }
+      if (dryRun) {
+        return;
+      }
+
+      const { data } = await app.request(
+        "POST /app/installations/{installation_id}/access_tokens",
+        { installation_id: installationId },
+      );
+      const client = createClient(data.token);
+      installations.set(installationId, {
+        client,
+        expiresAt: Date.parse(data.expires_at),
+      });
+      return client;
+    },
+  };
+}
+
+/**
+ * The approver for `--approverToken`, or for `--approverAppId` with
+ * `--approverPrivateKey`. `undefined` when neither is given, and the script's
+ * own token approves.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {string} [options.token]
+ * @param {string | number} [options.appId]
+ * @param {string} [options.privateKey]
+ */
+export function getApprover(octokit, { token, appId, privateKey }) {
+  if (!token && !appId && !privateKey) {
+    return;
+  }
+  const key = token ? `token:${token}` : `app:${appId}`;
+  let approver = approvers.get(key);
+  if (!approver) {
+    approver = createApprover(octokit, {
+      token,
+      appId: appId === undefined ? undefined : String(appId),
+      privateKey,
+    });
+    approvers.set(key, approver);
+  }
+  return approver;
+}
+
+/**
+ * @typedef {{ reviewDecision: string | null, viewerDidAuthor: boolean, viewerDidApprove: boolean, pendingCodeOwners: string[] }} ReviewState
+ */
+
+/**
+ * Review state of a PR as seen by `client`: whether it can still approve, and
+ * which code owners have yet to review.
+ *
+ * @param {import('@octoherd/cli').Octokit} client
+ * @param {string} htmlUrl
+ * @returns {Promise<ReviewState>}
+ */
+export async function getReviewState(client, htmlUrl) {
+  const { resource } = await client.graphql(
+    `query reviewState($htmlUrl: URI!) {
+      resource(url: $htmlUrl) {
+        ... on PullRequest {
+          reviewDecision
+          viewerDidAuthor
+          latestOpinionatedReviews(first: 10, writersOnly: true) {
+            nodes {
+              viewerDidAuthor
+              state
+            }
+          }
+          reviewRequests(first: 100) {
+            nodes {
+              asCodeOwner
+              requestedReviewer {
+                __typename
+                ... on User {
+                  login
+                }
+                ... on Team {
+                  combinedSlug
+                }
+              }
+            }
+          }
+        }
+      }
+    }`,
+    { htmlUrl },
+  );
+
+  return toReviewState(resource);
+}
+
+/**
+ * @param {any} pullRequest - `PullRequest` with the fields of the `reviewState` query
+ * @returns {ReviewState}
+ */
+export function toReviewState(pullRequest) {
+  return {
+    reviewDecision: pullRequest.reviewDecision,
+    viewerDidAuthor: pullRequest.viewerDidAuthor,
+    viewerDidApprove: pullRequest.latestOpinionatedReviews.nodes.some(
+      (node) => node.viewerDidAuthor && node.state === "APPROVED",
+    ),
+    // GitHub requests a review from the code owners of the changed files,
+    // and drops the request once they review.
+    pendingCodeOwners: pullRequest.reviewRequests.nodes
+      .filter((node) => node.asCodeOwner)
+      .map(
+        ({ requestedReviewer }) =>
+          `@${requestedReviewer?.login ?? requestedReviewer?.combinedSlug ?? "unknown"}`,
+      ),
+  };
+}
@@ -0,0 +1,182 @@
+// @ts-check
+
+/**
+ * Contexts of the status checks that must pass before a PR into `branch` can
+ * be merged, from both classic branch protection and repository rulesets.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} branch - base branch of the PR
+ * @returns {Promise<Set<string>>}
+ */
+export async function getRequiredChecks(octokit, baseParams, branch) {
+  const required = new Set();
+
+  // Unlike the protection endpoints, this one doesn't need admin access.
+  const { data: branchData } = await octokit.request(
+    "GET /repos/{owner}/{repo}/branches/{branch}",
+    { ...baseParams, branch },
+  );
+  const protection = branchData.protection?.required_status_checks;
+  for (const context of protection?.contexts ?? []) {
+    required.add(context);
+  }
+  for (const { context } of protection?.checks ?? []) {
+    required.add(context);
+  }
+
+  try {
+    const rules = await octokit.paginate(
+      "GET /repos/{owner}/{repo}/rules/branches/{branch}",
+      { ...baseParams, branch, per_page: 100 },
+    );
+    for (const rule of rules) {
+      if (rule.type !== "required_status_checks") {
+        continue;
+      }
+      for (const { context } of rule.parameters?.required_status_checks ?? []) {
+        required.add(context);
+      }
+    }
+  } catch (error) {
+    // Rulesets are not available on every plan and GHES version.
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+
+  return required;
+}
+
+/**
+ * @typedef {{ __typename: "CheckRun", name: string, status: string, conclusion: string | null } | { __typename: "StatusContext", context: string, state: string }} CheckContext
+ */
+
+/**
+ * Map a check run or commit status onto SUCCESS, PENDING or FAILURE.
+ *
+ * @param {CheckContext} check
+ */
+function checkState(check) {
+  if (check.__typename === "CheckRun") {
+    if (check.status !== "COMPLETED") {
+      return "PENDING";
+    }
+    return ["SUCCESS", "NEUTRAL", "SKIPPED"].includes(check.conclusion ?? "")
+      ? "SUCCESS"
+      : "FAILURE";
+  }
+  if (["PENDING", "EXPECTED"].includes(check.state)) {
+    return "PENDING";
+  }
+  return check.state === "SUCCESS" ? "SUCCESS" : "FAILURE";
+}
+
+/**
+ * @param {CheckContext} check
+ */
+function checkName(check) {
+  return check.__typename === "CheckRun" ? check.name : check.context;
+}
+
+/**
+ * Work out whether the PR is ready as far as checks are concerned, looking
+ * only at required checks. A required check that hasn't reported yet counts
+ * as pending. Without any required checks, fall back to the rollup state of
+ * all checks, and treat every failed check as required.
+ *
+ * @param {object} options
+ * @param {string} options.rollupState - `statusCheckRollup.state`
+ * @param {CheckContext[]} options.checks - `statusCheckRollup.contexts`
+ * @param {Set<string>} options.required - from `getRequiredChecks()`
+ * @returns {{ state: string, failedRequired: string[], failedOptional: string[] }}
+ */
+export function summarizeChecks({ rollupState, checks, required }) {
+  const failed = checks
+    .filter((check) => checkState(check) === "FAILURE")
+    .map(checkName);
+
+  if (required.size === 0) {
+    return { state: rollupState, failedRequired: failed, failedOptional: [] };
+  }
+
+  const failedOptional = failed.filter((name) => !required.has(name));
+
+  /** @type {Map<string, string>} */
+  const states = new Map();
+  for (const check of checks) {
+    const name = checkName(check);
+    if (!required.has(name)) {
+      continue;
+    }
+    // The same check can run more than once, e.g. after a re-run. Any
+    // successful run is enough.
+    if (states.get(name) !== "SUCCESS") {
+      states.set(name, checkState(check));
+    }
+  }
+
+  const requiredStates = [...required].map(
+    (name) => states.get(name) ?? "PENDING",
+  );
+  const failedRequired = [...required].filter(
+    (name) => states.get(name) === "FAILURE",
+  );
+  let state = "SUCCESS";
+  if (failedRequired.length > 0) {
+    state = "FAILURE";
+  } else if (requiredStates.includes("PENDING")) {
+    state = "PENDING";
+  }
+  return { state, failedRequired, failedOptional };
+}
+
+/**
+ * State of all checks on the head of a branch, such as the default branch
+ * after a merge: SUCCESS, PENDING or FAILURE. A commit without any checks
+ * counts as SUCCESS.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} branch
+ * @returns {Promise<{ state: string, sha: string, failed: string[] }>}
+ */
+export async function getBranchCheckState(octokit, baseParams, branch) {
+  const { data: commit } = await octokit.request(
+    "GET /repos/{owner}/{repo}/commits/{ref}",
+    { ...baseParams, ref: branch },
+  );
+  const checkRuns = await octokit.paginate(
+    "GET /repos/{owner}/{repo}/commits/{ref}/check-runs",
+    { ...baseParams, ref: commit.sha, filter: "latest", per_page: 100 },
+  );
+  const { data: combinedStatus } = await octokit.request(
+    "GET /repos/{owner}/{repo}/commits/{ref}/status",
+    { ...baseParams, ref: commit.sha, per_page: 100 },
+  );
+
+  const failed = [];
+  let pending = false;
+  for (const run of checkRuns) {
+    if (run.status !== "completed") {
+      pending = true;
+    } else if (!["success", "neutral", "skipped"].includes(run.conclusion)) {
+      failed.push(run.name);
+    }
+  }
+  for (const status of combinedStatus.statuses) {
+    if (status.state === "pending") {
+      pending = true;
+    } else if (status.state !== "success") {
+      failed.push(status.context);
+    }
+  }
+
+  let state = "SUCCESS";
+  if (failed.length > 0) {
+    state = "FAILURE";
+  } else if (pending) {
+    state = "PENDING";
+  }
+  return { state, sha: commit.sha, failed };
+}
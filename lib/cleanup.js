@@ -0,0 +1,111 @@
+// @ts-check
+
+/**
+ * @typedef {object} StalePullRequest
+ * @property {any} pr - PR as returned by the REST API
+ * @property {"superseded" | "duplicate"} kind
+ * @property {string} reason - for the log and the closing comment
+ */
+
+/**
+ * Open PRs that lost out to the PR we drive, `keep`: those for an older major
+ * of the same library, and other open PRs for the same update.
+ *
+ * @param {any[]} prs - every PR that was found, newest first
+ * @param {{ pr: any, major?: number }[]} selected - from `selectPullRequests()`
+ * @param {ReturnType<typeof import('./matching.js').createPrMatcher>} matcher
+ * @returns {{ keep: any, stale: StalePullRequest[] }} `keep` is `undefined` when there is no PR to compare against
+ */
+export function findStalePullRequests(prs, selected, matcher) {
+  // The PR the script acts on: the newest that is open or merged.
+  const kept = selected.find(({ pr }) => pr.state === "open" || pr.merged_at);
+  if (!kept) {
+    return { keep: undefined, stale: [] };
+  }
+  const keep = kept.pr;
+
+  /** @type {StalePullRequest[]} */
+  const stale = [];
+  for (const { pr, major } of selected) {
+    if (pr === keep || pr.state !== "open" || major !== kept.major) {
+      continue;
+    }
+    stale.push({
+      pr,
+      kind: "duplicate",
+      reason: `duplicate of #${keep.number}`,
+    });
+  }
+
+  if (kept.major !== undefined) {
+    for (const pr of prs) {
+      if (pr.state !== "open") {
+        continue;
+      }
+      if (!matcher.matchAuthor(pr)) {
+        continue;
+      }
+      // The title pattern matches whatever the major, the range doesn't.
+      const { major } = matcher.matchTitle(pr.title);
+      if (major !== undefined && major < kept.major) {
+        stale.push({
+          pr,
+          kind: "superseded",
+          reason: `superseded by #${keep.number}, which updates to v${kept.major}`,
+        });
+      }
+    }
+  }
+
+  return { keep, stale };
+}
+
+/**
+ * Close a PR with a comment saying why, and delete its branch unless it lives
+ * in a fork.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {object} options.baseParams - { owner, repo }
+ * @param {string} options.repoFullName
+ * @param {StalePullRequest} options.stale
+ * @param {any} options.keep - the PR it lost out to
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} options.plan
+ */
+export async function closeStalePullRequest(
+  octokit,
+  { baseParams, repoFullName, stale: { pr, kind, reason }, keep, plan },
+) {
+  octokit.log.info("%s: closing, %s", pr.html_url, reason);
+
+  await plan.request(
+    "POST /repos/{owner}/{repo}/issues/{issue_number}/comments",
+    {
+      ...baseParams,
+      issue_number: pr.number,
+      body: `Closing this PR, it is ${kind === "duplicate" ? "a duplicate of" : "superseded by"} #${keep.number} (${keep.title}).`,
+    },
+    `comment on #${pr.number} why it is closed`,
+  );
+  await plan.request(
+    "PATCH /repos/{owner}/{repo}/pulls/{pull_number}",
+    { ...baseParams, pull_number: pr.number, state: "closed" },
+    `close #${pr.number}, ${reason}`,
+  );
+
+  if (pr.head.repo?.full_name !== repoFullName) {
+    return;
+  }
+  try {
+    await plan.request(
+      "DELETE /repos/{owner}/{repo}/git/refs/{ref}",
+      { ...baseParams, ref: `heads/${pr.head.ref}` },
+      `delete branch ${pr.head.ref}`,
+    );
+  } catch (error) {
+    // Already gone, e.g. the bot deleted it when the PR was closed.
+    if (error.status !== 422 && error.status !== 404) {
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,155 @@
+// @ts-check
+
+const dashboardTitle = "Dependency Dashboard";
+
+/**
+ * What each kind of Dependency Dashboard checkbox means, and whether ticking
+ * it gets us the PR. We don't tick "recreate" on ignored or blocked updates:
+ * somebody closed that PR on purpose. Open PRs ("rebase") are left out, we
+ * only get here when we couldn't find the PR.
+ *
+ * @type {Record<string, { state: string, tick: boolean }>}
+ */
+const dashboardActions = {
+  "approve-branch": { state: "pending approval", tick: true },
+  "unschedule-branch": { state: "awaiting schedule", tick: true },
+  "unlimit-branch": { state: "rate-limited", tick: true },
+  "approvePr-branch": { state: "pending status checks", tick: true },
+  "retry-branch": { state: "errored", tick: true },
+  "recreate-branch": { state: "ignored or blocked", tick: false },
+};
+
+/**
+ * @typedef {object} DashboardEntry
+ * @property {string} line - the whole line, to tick it in place
+ * @property {boolean} checked
+ * @property {string} action - e.g. `unlimit-branch`
+ * @property {string} [branch]
+ * @property {string} title - update title, without markdown link
+ */
+
+/**
+ * Parse the checkbox lines of a Dependency Dashboard, for example
+ *
+ *     - [ ] <!-- unlimit-branch=renovate/major-foo -->fix(deps): update dependency foo to v2
+ *
+ * @param {string} body
+ * @returns {DashboardEntry[]}
+ */
+export function parseDependencyDashboard(body) {
+  /** @type {DashboardEntry[]} */
+  const entries = [];
+  for (const line of body.split(/\r?\n/)) {
+    const match = line.match(
+      /^\s*- \[([ xX])\] <!-- ([\w-]+)(?:=(\S+))? -->(.*)$/,
+    );
+    if (!match) {
+      continue;
+    }
+    entries.push({
+      line,
+      checked: match[1] !== " ",
+      action: match[2],
+      branch: match[3],
+      // Open PRs are listed as links: [title](url)
+      title: match[4].replace(/^\[(.*)\]\(.*\)$/, "$1").trim(),
+    });
+  }
+  return entries;
+}
+
+/**
+ * Find the repository's open Dependency Dashboard issue, if Renovate keeps one.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ */
+async function findDependencyDashboard(octokit, baseParams) {
+  const issues = await octokit.paginate("GET /repos/{owner}/{repo}/issues", {
+    ...baseParams,
+    state: "open",
+    per_page: 100,
+  });
+  return issues.find(
+    (issue) => !issue.pull_request && issue.title === dashboardTitle,
+  );
+}
+
+/**
+ * Ask Renovate for the PR by ticking its checkbox on the Dependency Dashboard.
+ *
+ * Returns the outcome for the run summary, or `undefined` when the dashboard
+ * can't help (there is none, or it doesn't list the update), in which case
+ * the caller should fall back to re-running the workflow.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {object} options.baseParams - { owner, repo }
+ * @param {ReturnType<typeof import('./matching.js').createPrMatcher>} options.matcher
+ * @param {string} options.repoFullName
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} options.plan
+ * @returns {Promise<{ outcome: import('./report.js').Outcome, reason: string, url: string } | undefined>}
+ */
+export async function requestFromDependencyDashboard(
+  octokit,
+  { baseParams, matcher, repoFullName, plan },
+) {
+  const issue = await findDependencyDashboard(octokit, baseParams);
+  if (!issue) {
+    octokit.log.info(`${repoFullName}: no ${dashboardTitle} issue`);
+    return;
+  }
+
+  const candidates = parseDependencyDashboard(issue.body ?? "")
+    .filter(({ action }) => action in dashboardActions)
+    .map((entry) => ({ entry, match: matcher.matchTitle(entry.title) }))
+    .filter(({ match }) => match.matched)
+    // For a range of majors, ask for the highest.
+    .sort((a, b) => (b.match.major ?? 0) - (a.match.major ?? 0));
+  if (candidates.length === 0) {
+    octokit.log.info(
+      `${repoFullName}: ${dashboardTitle} ${issue.html_url} does not list ${matcher.description}`,
+    );
+    return;
+  }
+
+  const { entry } = candidates[0];
+  const { state, tick } = dashboardActions[entry.action];
+  octokit.log.info(
+    `${repoFullName}: ${dashboardTitle} lists "${entry.title}" as ${state}`,
+  );
+
+  if (!tick) {
+    return {
+      outcome: "dashboard-blocked",
+      reason: `"${entry.title}" is ${state} on the ${dashboardTitle}`,
+      url: issue.html_url,
+    };
+  }
+
+  if (entry.checked) {
+    return {
+      outcome: "dashboard-requested",
+      reason: `"${entry.title}" is ${state}, already requested on the ${dashboardTitle}`,
+      url: issue.html_url,
+    };
+  }
+
+  await plan.request(
+    "PATCH /repos/{owner}/{repo}/issues/{issue_number}",
+    {
+      ...baseParams,
+      issue_number: issue.number,
+      body: issue.body.replace(entry.line, entry.line.replace("[ ]", "[x]")),
+    },
+    `tick "${entry.title}" on the ${dashboardTitle} #${issue.number}`,
+  );
+  octokit.log.info(
+    `${repoFullName}: requested "${entry.title}" on the ${dashboardTitle} ${issue.html_url}`,
+  );
+  return {
+    outcome: "dashboard-requested",
+    reason: `"${entry.title}" was ${state}, requested on the ${dashboardTitle}`,
+    url: issue.html_url,
+  };
+}
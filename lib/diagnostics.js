@@ -0,0 +1,228 @@
+// @ts-check
+
+// Hidden marker that identifies our comment, so that it can be updated in
+// place instead of adding a new one on every run.
+const commentMarker = "<!-- octoherd-renovate-driver:diagnostics -->";
+
+/** Conclusions of a check or workflow run that count as failed. */
+export const failedConclusions = [
+  "failure",
+  "timed_out",
+  "cancelled",
+  "action_required",
+  "startup_failure",
+];
+
+const maxAnnotations = 10;
+
+/**
+ * @typedef {object} FailedCheck
+ * @property {string} name
+ * @property {string} conclusion
+ * @property {string} [url]
+ * @property {string[]} annotations - `path:line message`
+ * @property {string[]} logTail - last lines of the job log, GitHub Actions only
+ */
+
+/**
+ * The last lines of a GitHub Actions job log, without timestamps.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {number} jobId
+ * @param {number} lines
+ * @returns {Promise<string[]>}
+ */
+async function getJobLogTail(octokit, baseParams, jobId, lines) {
+  try {
+    const { data } = await octokit.request(
+      "GET /repos/{owner}/{repo}/actions/jobs/{job_id}/logs",
+      { ...baseParams, job_id: jobId },
+    );
+    const log =
+      typeof data === "string" ? data : Buffer.from(data).toString("utf-8");
+    return log
+      .trimEnd()
+      .split("\n")
+      .slice(-lines)
+      .map((line) => line.replace(/^\S+Z /, ""));
+  } catch (error) {
+    // Logs expire, and need more permissions than reading checks does.
+    if ([403, 404, 410].includes(error.status)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Collect what failed on a commit: failing check runs with their annotations
+ * and the tail of their job log, and failing commit statuses.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} sha - head commit of the PR
+ * @param {object} [options]
+ * @param {number} [options.logLines] - how much of each failed job log to keep. Defaults to 20.
+ * @returns {Promise<FailedCheck[]>}
+ */
+export async function collectDiagnostics(
+  octokit,
+  baseParams,
+  sha,
+  { logLines = 20 } = {},
+) {
+  /** @type {FailedCheck[]} */
+  const failedChecks = [];
+
+  const checkRuns = await octokit.paginate(
+    "GET /repos/{owner}/{repo}/commits/{ref}/check-runs",
+    { ...baseParams, ref: sha, filter: "latest", per_page: 100 },
+  );
+  for (const run of checkRuns) {
+    if (!failedConclusions.includes(run.conclusion ?? "")) {
+      continue;
+    }
+
+    const { data: annotations } = await octokit.request(
+      "GET /repos/{owner}/{repo}/check-runs/{check_run_id}/annotations",
+      { ...baseParams, check_run_id: run.id, per_page: maxAnnotations },
+    );
+    const logTail =
+      run.app?.slug === "github-actions" && logLines > 0
+        ? await getJobLogTail(octokit, baseParams, run.id, logLines)
+        : [];
+
+    failedChecks.push({
+      name: run.name,
+      conclusion: run.conclusion ?? "unknown",
+      url: run.html_url ?? undefined,
+      annotations: annotations
+        .filter(({ annotation_level }) => annotation_level === "failure")
+        .map(
+          ({ path, start_line, message }) => `${path}:${start_line} ${message}`,
+        ),
+      logTail,
+    });
+  }
+
+  const { data: combinedStatus } = await octokit.request(
+    "GET /repos/{owner}/{repo}/commits/{ref}/status",
+    { ...baseParams, ref: sha, per_page: 100 },
+  );
+  for (const status of combinedStatus.statuses) {
+    if (!["failure", "error"].includes(status.state)) {
+      continue;
+    }
+    failedChecks.push({
+      name: status.context,
+      conclusion: status.state,
+      url: status.target_url ?? undefined,
+      annotations: status.description ? [status.description] : [],
+      logTail: [],
+    });
+  }
+
+  return failedChecks;
+}
+
+/**
+ * Compact, plain text summary for the run log.
+ *
+ * @param {FailedCheck[]} failedChecks
+ */
+export function formatDiagnosticsForLog(failedChecks) {
+  return failedChecks
+    .map(({ name, conclusion, url, annotations, logTail }) =>
+      [
+        `  ✗ ${name} (${conclusion})${url ? ` ${url}` : ""}`,
+        ...annotations.map((annotation) => `      ${annotation}`),
+        ...logTail.slice(-5).map((line) => `      | ${line}`),
+      ].join("\n"),
+    )
+    .join("\n");
+}
+
+/**
+ * Markdown body of the sticky PR comment.
+ *
+ * @param {FailedCheck[]} failedChecks
+ * @param {string} sha
+ */
+function formatDiagnosticsComment(failedChecks, sha) {
+  const sections = failedChecks.map(
+    ({ name, conclusion, url, annotations, logTail }) => {
+      const lines = [
+        `### ${url ? `[${name}](${url})` : name}: \`${conclusion}\``,
+        "",
+        ...annotations.map((annotation) => `- ${annotation}`),
+      ];
+      if (logTail.length > 0) {
+        lines.push(
+          "",
+          "<details><summary>Log tail</summary>",
+          "",
+          "```",
+          ...logTail,
+          "```",
+          "",
+          "</details>",
+        );
+      }
+      return lines.join("\n");
+    },
+  );
+  return [
+    commentMarker,
+    `## Failing checks on ${sha.slice(0, 7)}`,
+    "",
+    ...sections,
+  ].join("\n");
+}
+
+/**
+ * Create our diagnostics comment on the PR, or update it if it's there.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {any} pr - PR as returned by the REST API
+ * @param {FailedCheck[]} failedChecks
+ * @param {string} sha - head commit the diagnostics are for
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} plan
+ */
+export async function postDiagnosticsComment(
+  octokit,
+  baseParams,
+  pr,
+  failedChecks,
+  sha,
+  plan,
+) {
+  const body = formatDiagnosticsComment(failedChecks, sha);
+
+  const comments = await octokit.paginate(
+    "GET /repos/{owner}/{repo}/issues/{issue_number}/comments",
+    { ...baseParams, issue_number: pr.number, per_page: 100 },
+  );
+  const existing = comments.find((comment) =>
+    comment.body?.startsWith(commentMarker),
+  );
+
+  if (existing) {
+    if (existing.body === body) {
+      return;
+    }
+    await plan.request(
+      "PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}",
+      { ...baseParams, comment_id: existing.id, body },
+      `update the failing checks comment on #${pr.number}`,
+    );
+    return;
+  }
+
+  await plan.request(
+    "POST /repos/{owner}/{repo}/issues/{issue_number}/comments",
+    { ...baseParams, issue_number: pr.number, body },
+    `comment failing checks on #${pr.number}`,
+  );
+}
@@ -0,0 +1,327 @@
+// @ts-check
+
+import { resolve } from "path";
+import { pathToFileURL } from "url";
+
+import { builtInFixers } from "./fixers/index.js";
+
+/**
+ * @typedef {object} FixerContext
+ * @property {import('@octoherd/cli').Octokit} octokit
+ * @property {string} repoFullName - for logging
+ * @property {any} pr - PR as returned by the REST API
+ * @property {string} [library] - the `--library` option, if the PR updates it
+ * @property {string} majorVersion - the `--majorVersion` option
+ * @property {Record<string, any>} options - options the script doesn't use itself, such as `--pnpmVersion`, for fixers that take their own
+ */
+
+/**
+ * A fixer patches files on a PR branch so that the PR can pass CI.
+ *
+ * A fixer applies to a PR when one of its `titles` matches the PR title
+ * (strings match as a prefix), or when one of its `libraries` is the library
+ * being driven. It is handed the current contents of its `files` on the PR
+ * branch, with missing files left `undefined`, and returns only the files it
+ * changed. A path in `files` that ends in `/` stands for every file directly
+ * in that directory.
+ *
+ * @typedef {object} Fixer
+ * @property {string} name
+ * @property {(string | RegExp)[]} [titles]
+ * @property {string[]} [libraries]
+ * @property {string[]} files - paths relative to the repository root
+ * @property {string} message - commit message for the changes
+ * @property {(files: Record<string, string | undefined>, context: FixerContext) => Record<string, string> | Promise<Record<string, string>>} fix
+ */
+
+/**
+ * Load built-in fixers plus any from local modules. A module may export a
+ * fixer or an array of fixers, as its default export or as `fixers`.
+ *
+ * @param {string | string[]} [paths] - from `--fixers`, comma separated or repeated
+ * @returns {Promise<Fixer[]>}
+ */
+export async function loadFixers(paths = []) {
+  const modulePaths = [paths]
+    .flat()
+    .flatMap((path) => String(path).split(","))
+    .map((path) => path.trim())
+    .filter(Boolean);
+
+  const fixers = [...builtInFixers];
+  for (const modulePath of modulePaths) {
+    const module = await import(
+      pathToFileURL(resolve(process.cwd(), modulePath)).href
+    );
+    const exported = [module.default ?? module.fixers].flat();
+    for (const fixer of exported) {
+      if (!fixer || typeof fixer.fix !== "function" || !fixer.name) {
+        throw new Error(
+          `${modulePath} does not export a fixer with a name and a fix() function`,
+        );
+      }
+      fixers.push({
+        titles: [],
+        libraries: [],
+        ...fixer,
+        files: fixer.files ?? [],
+      });
+    }
+  }
+  return fixers;
+}
+
+/**
+ * @param {Fixer} fixer
+ * @param {{ title: string, library?: string }} target
+ */
+function fixerApplies(fixer, { title, library }) {
+  const titleMatches = (fixer.titles ?? []).some((pattern) =>
+    typeof pattern === "string"
+      ? title.startsWith(pattern)
+      : pattern.test(title),
+  );
+  const libraryMatches =
+    library !== undefined && (fixer.libraries ?? []).includes(library);
+  return titleMatches || libraryMatches;
+}
+
+// How often to start over when the PR branch moves while we commit to it.
+const maxCommitAttempts = 3;
+
+/**
+ * Fetch a file at a commit.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} path
+ * @param {string} ref
+ * @returns {Promise<string | undefined>} `undefined` if the file doesn't exist
+ */
+export async function getFile(octokit, baseParams, path, ref) {
+  try {
+    const { data } = await octokit.request(
+      "GET /repos/{owner}/{repo}/contents/{path}",
+      { ...baseParams, path, ref },
+    );
+    return Buffer.from(data.content, "base64").toString("utf-8");
+  } catch (error) {
+    if (error.status === 404) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Paths of the files directly in a directory at a commit.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} path - with a trailing `/`
+ * @param {string} ref
+ * @returns {Promise<string[]>} empty if the directory doesn't exist
+ */
+async function listDirectory(octokit, baseParams, path, ref) {
+  try {
+    const { data } = await octokit.request(
+      "GET /repos/{owner}/{repo}/contents/{path}",
+      { ...baseParams, path: path.replace(/\/+$/, ""), ref },
+    );
+    return [data]
+      .flat()
+      .filter((entry) => entry.type === "file")
+      .map((entry) => entry.path);
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run the fixers one after the other against the files at `ref`. Each fixer
+ * sees the edits of the fixers before it. A failing fixer is logged and its
+ * edits are dropped, the others still run.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} ref - commit SHA to read files at
+ * @param {Fixer[]} fixers - fixers that apply to the PR
+ * @param {FixerContext} context
+ * @returns {Promise<{ files: { path: string, before: string | null, after: string }[], applied: { fixer: Fixer, paths: string[] }[] }>}
+ */
+async function runFixers(octokit, baseParams, ref, fixers, context) {
+  /** @type {Map<string, string | undefined>} */
+  const originals = new Map();
+  /** @type {Map<string, string>} */
+  const current = new Map();
+  const applied = [];
+
+  for (const fixer of fixers) {
+    try {
+      /** @type {Record<string, string | undefined>} */
+      const files = {};
+      /** @type {string[]} */
+      const paths = [];
+      for (const path of fixer.files) {
+        paths.push(
+          ...(path.endsWith("/")
+            ? await listDirectory(octokit, baseParams, path, ref)
+            : [path]),
+        );
+      }
+      for (const path of paths) {
+        if (!originals.has(path)) {
+          originals.set(path, await getFile(octokit, baseParams, path, ref));
+        }
+        files[path] = current.get(path) ?? originals.get(path);
+      }
+
+      const updated = await fixer.fix(files, context);
+
+      const changed = [];
+      for (const [path, content] of Object.entries(updated ?? {})) {
+        if (!(path in files)) {
+          throw new Error(`${path} was not declared in the fixer's files`);
+        }
+        if (content !== files[path]) {
+          changed.push(path);
+        }
+      }
+      for (const path of changed) {
+        current.set(path, updated[path]);
+        octokit.log.info(
+          `${context.repoFullName}: ${fixer.name} updated ${path} in PR ${context.pr.html_url}`,
+        );
+      }
+      if (changed.length > 0) {
+        applied.push({ fixer, paths: changed });
+      }
+    } catch (error) {
+      // Log error but don't stop the script
+      octokit.log.error(
+        `${context.repoFullName}: Error while applying fixer ${fixer.name}: ${error.message}`,
+      );
+    }
+  }
+
+  const files = [...current]
+    .filter(([path, after]) => after !== originals.get(path))
+    .map(([path, after]) => ({
+      path,
+      before: originals.get(path) ?? null,
+      after,
+    }));
+  return { files, applied };
+}
+
+/**
+ * One commit for all fixers: the subject names the PR, the body lists what
+ * each fixer did.
+ *
+ * @param {any} pr
+ * @param {{ fixer: Fixer, paths: string[] }[]} applied
+ */
+function commitMessage(pr, applied) {
+  if (applied.length === 1) {
+    return applied[0].fixer.message;
+  }
+  const lines = applied.map(
+    ({ fixer, paths }) => `- ${fixer.message} (${paths.join(", ")})`,
+  );
+  return `chore: apply ${applied.length} fixes for #${pr.number}\n\n${lines.join("\n")}`;
+}
+
+/**
+ * Run every fixer that applies to the PR and commit what they change to the
+ * PR branch as a single commit.
+ *
+ * Files are read at the current head of the PR branch and the branch is only
+ * fast-forwarded to the new commit. If someone pushes in the meantime, we
+ * start over from the new head rather than overwrite their work.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {object} options.baseParams - { owner, repo }
+ * @param {any} options.pr - PR as returned by the REST API
+ * @param {Fixer[]} options.fixers
+ * @param {Record<string, boolean>} [options.enabled] - fixers turned on or off by name. Those turned on still only run on PRs they apply to
+ * @param {string} [options.library] - only when the PR updates it
+ * @param {string} options.majorVersion
+ * @param {Record<string, any>} options.options - see `FixerContext`
+ * @param {string} options.repoFullName
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} options.plan
+ * @returns {Promise<boolean>} whether fixes were committed (or planned)
+ */
+export async function applyFixers(
+  octokit,
+  {
+    baseParams,
+    pr,
+    fixers,
+    enabled = {},
+    library,
+    majorVersion,
+    options,
+    repoFullName,
+    plan,
+  },
+) {
+  const prBranch = pr.head.ref;
+  const applicable = fixers.filter(
+    (fixer) =>
+      enabled[fixer.name] !== false &&
+      fixerApplies(fixer, { title: pr.title, library }),
+  );
+  if (applicable.length === 0) {
+    return false;
+  }
+
+  for (let attempt = 1; attempt <= maxCommitAttempts; attempt++) {
+    try {
+      const { data: ref } = await octokit.request(
+        "GET /repos/{owner}/{repo}/git/ref/{ref}",
+        { ...baseParams, ref: `heads/${prBranch}` },
+      );
+      const headSha = ref.object.sha;
+
+      const { files, applied } = await runFixers(
+        octokit,
+        baseParams,
+        headSha,
+        applicable,
+        { octokit, repoFullName, pr, library, majorVersion, options },
+      );
+      if (files.length === 0) {
+        return false;
+      }
+
+      await plan.commitFiles(baseParams, {
+        branch: prBranch,
+        parent: headSha,
+        files,
+        message: commitMessage(pr, applied),
+        pullNumber: pr.number,
+      });
+      octokit.log.info(
+        `${repoFullName}: committed ${files.length} fixed file(s) to PR ${pr.html_url}`,
+      );
+      return true;
+    } catch (error) {
+      if (error.refMoved && attempt < maxCommitAttempts) {
+        octokit.log.warn(
+          `${repoFullName}: ${prBranch} moved while committing fixes, retrying`,
+        );
+        continue;
+      }
+      // Log error but don't stop the script
+      octokit.log.error(
+        `${repoFullName}: Error while committing fixes to ${prBranch}: ${error.message}`,
+      );
+      return false;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,12 @@
+// @ts-check
+
+import { projenrcPackageManager } from "./projenrc-package-manager.js";
+import { workflowPnpmVersion } from "./workflow-pnpm-version.js";
+
+/**
+ * Fixers that are always available. Order matters: fixers run in this order,
+ * followed by any loaded with `--fixers`.
+ *
+ * @type {import('../fixers.js').Fixer[]}
+ */
+export const builtInFixers = [projenrcPackageManager, workflowPnpmVersion];
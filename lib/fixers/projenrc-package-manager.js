@@ -0,0 +1,120 @@
+// @ts-check
+
+import ts from "typescript";
+
+import {
+  applyEdits,
+  findObjectLiterals,
+  getPropertyName,
+  getSyntaxErrors,
+  parseTypeScript,
+  removeListElements,
+  removeNewlyUnusedImports,
+} from "../typescript-edits.js";
+
+const projenrcPath = ".projenrc.ts";
+
+/**
+ * Newer projen releases reject `packageManager: javascript.NodePackageManager.PNPM`
+ * together with an explicit `pnpmVersion`. Remove both and let projen pick.
+ *
+ * The file is edited through its syntax tree, so multi-line values, comments
+ * and any import style are handled, and everything else is left as it was.
+ *
+ * @type {import('../fixers.js').Fixer}
+ */
+export const projenrcPackageManager = {
+  name: "projenrc-package-manager",
+  titles: ["fix(deps): upgrade projen"],
+  files: [projenrcPath],
+  message: "chore(projen): remove deprecated packageManager configuration",
+
+  fix(files, { octokit, repoFullName }) {
+    const content = files[projenrcPath];
+    if (content === undefined) {
+      octokit.log.info(
+        `${repoFullName}: .projenrc.ts not found in PR branch, skipping fix`,
+      );
+      return {};
+    }
+
+    const syntaxErrors = getSyntaxErrors(content, projenrcPath);
+    if (syntaxErrors.length > 0) {
+      octokit.log.warn(
+        `${repoFullName}: .projenrc.ts doesn't parse, skipping fix: ${syntaxErrors.join("; ")}`,
+      );
+      return {};
+    }
+
+    const sourceFile = parseTypeScript(content, projenrcPath);
+    const remove = [];
+    for (const object of findObjectLiterals(sourceFile)) {
+      const packageManager = object.properties.find(
+        (property) =>
+          getPropertyName(property) === "packageManager" &&
+          ts.isPropertyAssignment(property) &&
+          /(?:^|\.)NodePackageManager\.PNPM$/.test(
+            property.initializer.getText(sourceFile),
+          ),
+      );
+      if (!packageManager) {
+        continue;
+      }
+      const pnpmVersions = object.properties.filter(
+        (property) => getPropertyName(property) === "pnpmVersion",
+      );
+      for (const property of pnpmVersions) {
+        const value =
+          ts.isPropertyAssignment(property) &&
+          ts.isStringLiteralLike(property.initializer)
+            ? property.initializer.text
+            : property.getText(sourceFile);
+        // Check if pnpmVersion exists and warn if it's not the default
+        if (value !== "9") {
+          octokit.log.warn(
+            `${repoFullName}: Removing non-standard pnpmVersion: '${value}'`,
+          );
+        }
+      }
+      remove.push({
+        object,
+        properties: [packageManager, ...pnpmVersions],
+      });
+    }
+    if (remove.length === 0) {
+      return {};
+    }
+
+    octokit.log.info(
+      `${repoFullName}: Found deprecated packageManager configuration, applying fix...`,
+    );
+
+    const edited = applyEdits(
+      content,
+      remove.flatMap(({ object, properties }) =>
+        removeListElements(sourceFile, object.properties, properties),
+      ),
+    );
+    // e.g. `javascript` when it was only used for `NodePackageManager`
+    const updatedContent = removeNewlyUnusedImports(
+      content,
+      edited,
+      projenrcPath,
+    );
+
+    const newSyntaxErrors = getSyntaxErrors(updatedContent, projenrcPath);
+    if (newSyntaxErrors.length > 0) {
+      octokit.log.error(
+        `${repoFullName}: Refusing to commit .projenrc.ts, the fix broke it: ${newSyntaxErrors.join("; ")}`,
+      );
+      return {};
+    }
+
+    if (updatedContent === content) {
+      octokit.log.info(`${repoFullName}: No changes needed for .projenrc.ts`);
+      return {};
+    }
+
+    return { [projenrcPath]: updatedContent };
+  },
+};
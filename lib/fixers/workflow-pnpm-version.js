@@ -0,0 +1,165 @@
+// @ts-check
+
+import { isMap, isScalar, isSeq, parseDocument } from "yaml";
+
+const workflowsDirectory = ".github/workflows/";
+const packageJsonPath = "package.json";
+
+/**
+ * The pnpm version to set: `--pnpmVersion`, else the one in the
+ * `packageManager` field of package.json, e.g. `pnpm@10.22.0+sha512.…`.
+ *
+ * @param {Record<string, string | undefined>} files
+ * @param {Record<string, any>} options
+ * @returns {string | undefined}
+ */
+function getTargetVersion(files, options) {
+  if (options.pnpmVersion) {
+    return String(options.pnpmVersion);
+  }
+  const packageJson = files[packageJsonPath];
+  if (packageJson === undefined) {
+    return;
+  }
+  try {
+    const { packageManager } = JSON.parse(packageJson);
+    return String(packageManager ?? "").match(/^pnpm@([^+]+)/)?.[1];
+  } catch {
+    return;
+  }
+}
+
+/**
+ * The `with.version` scalars of every `pnpm/action-setup` step in a workflow.
+ *
+ * @param {ReturnType<typeof parseDocument>} document
+ * @returns {import('yaml').Scalar[]}
+ */
+function findPnpmVersions(document) {
+  const versions = [];
+  const jobs = document.get("jobs");
+  if (!isMap(jobs)) {
+    return [];
+  }
+  for (const { value: job } of jobs.items) {
+    const steps = isMap(job) ? job.get("steps") : undefined;
+    if (!isSeq(steps)) {
+      continue;
+    }
+    for (const step of steps.items) {
+      if (
+        !isMap(step) ||
+        !String(step.get("uses") ?? "").startsWith("pnpm/action-setup@")
+      ) {
+        continue;
+      }
+      const stepWith = step.get("with");
+      const version = isMap(stepWith) ? stepWith.get("version", true) : null;
+      if (isScalar(version) && version.range) {
+        versions.push(version);
+      }
+    }
+  }
+  return versions;
+}
+
+/**
+ * `version` written the way the value it replaces was quoted.
+ *
+ * @param {import('yaml').Scalar} scalar
+ * @param {string} version
+ */
+function formatVersion(scalar, version) {
+  switch (scalar.type) {
+    case "QUOTE_DOUBLE":
+      return `"${version}"`;
+    case "QUOTE_SINGLE":
+      return `'${version}'`;
+    default:
+      return version;
+  }
+}
+
+/**
+ * Sets the `with.version` of every `pnpm/action-setup` step in every workflow
+ * to the target version. Only those values are rewritten, in place, so the
+ * rest of each file keeps its comments and formatting.
+ *
+ * @type {import('../fixers.js').Fixer['fix']}
+ */
+function updateWorkflowPnpmVersions(files, { octokit, repoFullName, options }) {
+  const targetVersion = getTargetVersion(files, options);
+  if (!targetVersion) {
+    octokit.log.info(
+      `${repoFullName}: No pnpm version given with --pnpmVersion or in package.json "packageManager", skipping workflows`,
+    );
+    return {};
+  }
+
+  /** @type {Record<string, string>} */
+  const updatedFiles = {};
+
+  for (const [workflowPath, content] of Object.entries(files)) {
+    if (
+      !workflowPath.startsWith(workflowsDirectory) ||
+      !/\.ya?ml$/.test(workflowPath) ||
+      content === undefined
+    ) {
+      continue;
+    }
+
+    const document = parseDocument(content);
+    if (document.errors.length > 0) {
+      octokit.log.warn(
+        `${repoFullName}: ${workflowPath} is not valid YAML, skipping: ${document.errors[0].message.split("\n")[0]}`,
+      );
+      continue;
+    }
+
+    const outdated = findPnpmVersions(document).filter(
+      (scalar) => String(scalar.value) !== targetVersion,
+    );
+    // Replace from the end, so earlier offsets stay valid.
+    let updatedContent = content;
+    for (const scalar of outdated.reverse()) {
+      const [start, end] = /** @type {[number, number, number]} */ (
+        scalar.range
+      );
+      updatedContent =
+        updatedContent.slice(0, start) +
+        formatVersion(scalar, targetVersion) +
+        updatedContent.slice(end);
+    }
+
+    if (updatedContent !== content) {
+      updatedFiles[workflowPath] = updatedContent;
+    }
+  }
+
+  const paths = Object.keys(updatedFiles);
+  if (paths.length > 0) {
+    octokit.log.info(
+      `${repoFullName}: Updating pnpm version to ${targetVersion} in ${paths.length} workflow file(s): ${paths.join(", ")}`,
+    );
+  } else {
+    octokit.log.info(
+      `${repoFullName}: No workflow files needed pnpm version update`,
+    );
+  }
+
+  return updatedFiles;
+}
+
+/**
+ * Runs on every projen PR, not only the ones that still need the
+ * `.projenrc.ts` fix, so that a half-fixed branch is completed.
+ *
+ * @type {import('../fixers.js').Fixer}
+ */
+export const workflowPnpmVersion = {
+  name: "workflow-pnpm-version",
+  titles: ["fix(deps): upgrade projen"],
+  files: [workflowsDirectory, packageJsonPath],
+  message: "chore(projen): update pnpm version in workflows",
+  fix: updateWorkflowPnpmVersions,
+};
@@ -0,0 +1,304 @@
+// @ts-check
+
+import { createHash } from "crypto";
+import { appendFileSync, mkdirSync, readFileSync } from "fs";
+import { dirname, resolve } from "path";
+
+import { getFile } from "./fixers.js";
+
+const approveRoute = "POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews";
+
+/**
+ * One mutating call, as a line of the NDJSON journal.
+ *
+ * @typedef {object} JournalEntry
+ * @property {string} time - ISO 8601
+ * @property {string} repository - full name
+ * @property {number} [pr] - number of the PR, or issue, the call was about
+ * @property {string} [pullRequestId] - node ID of the PR, for GraphQL mutations
+ * @property {string} endpoint - e.g. `POST /repos/o/r/pulls/1/reviews`, or `POST /graphql enableAutoMerge`
+ * @property {string} [route] - REST route, e.g. `POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews`
+ * @property {string} description
+ * @property {Record<string, any>} [parameters] - REST parameters or GraphQL variables, without bodies
+ * @property {{ id?: number, sha?: string, url?: string }} [result] - what the call created
+ * @property {string} [branch] - for commits
+ * @property {string} [parent] - commit the branch pointed at before
+ * @property {string} [commit] - commit the branch points at after
+ * @property {boolean} [undo] - made by `--undo`, and not undone itself
+ * @property {{ path: string, before: string | null, after: string | null }[]} [files] - git blob SHAs of each file before and after the commit, `null` where the file doesn't exist
+ */
+
+/**
+ * The git blob SHA of a file's content, as in `git hash-object`.
+ *
+ * @param {string} content
+ */
+export function gitBlobSha(content) {
+  const buffer = Buffer.from(content);
+  return createHash("sha1")
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest("hex");
+}
+
+/**
+ * Drop what's big or beside the point from the parameters of a call: the
+ * repository is in the entry already, and bodies can be whole PR
+ * descriptions.
+ *
+ * @param {Record<string, any>} parameters
+ */
+export function journalParameters({ owner, repo, body, ...parameters }) {
+  return parameters;
+}
+
+/**
+ * Append an entry to the journal at `path`. Entries are never rewritten, so
+ * a journal shared by several runs just grows.
+ *
+ * @param {string} path
+ * @param {Omit<JournalEntry, "time">} entry
+ */
+export function appendJournalEntry(path, entry) {
+  const resolved = resolve(process.cwd(), path);
+  mkdirSync(dirname(resolved), { recursive: true });
+  appendFileSync(
+    resolved,
+    JSON.stringify({ time: new Date().toISOString(), ...entry }) + "\n",
+  );
+}
+
+/**
+ * The journal entries for one repository, oldest first.
+ *
+ * @param {string} path
+ * @param {string} repoFullName
+ * @returns {JournalEntry[]}
+ */
+export function readJournal(path, repoFullName) {
+  return readFileSync(resolve(process.cwd(), path), "utf-8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line))
+    .filter(({ repository }) => repository === repoFullName);
+}
+
+/**
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {number} pullNumber
+ */
+async function getPullRequest(octokit, baseParams, pullNumber) {
+  const { data } = await octokit.request(
+    "GET /repos/{owner}/{repo}/pulls/{pull_number}",
+    { ...baseParams, pull_number: pullNumber },
+  );
+  return data;
+}
+
+/**
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} sha
+ */
+async function getBlob(octokit, baseParams, sha) {
+  // The empty blob need not exist in the repository.
+  if (sha === gitBlobSha("")) {
+    return "";
+  }
+  const { data } = await octokit.request(
+    "GET /repos/{owner}/{repo}/git/blobs/{file_sha}",
+    { ...baseParams, file_sha: sha },
+  );
+  return Buffer.from(data.content, "base64").toString("utf-8");
+}
+
+/**
+ * Dismiss an approval, unless it's gone or the PR is closed.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {JournalEntry} entry
+ * @param {object} baseParams - { owner, repo }
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} plan
+ * @returns {Promise<string>} what was done
+ */
+async function dismissApproval(octokit, entry, baseParams, plan) {
+  const pullNumber = /** @type {number} */ (entry.pr);
+  const reviewId = entry.result?.id;
+  if (!reviewId) {
+    return `approval of #${pullNumber}: review ID unknown, skipped`;
+  }
+  const pr = await getPullRequest(octokit, baseParams, pullNumber);
+  if (pr.state !== "open") {
+    return `approval of #${pullNumber}: PR is ${pr.merged_at ? "merged" : "closed"}, skipped`;
+  }
+  const { data: review } = await octokit.request(
+    "GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews/{review_id}",
+    { ...baseParams, pull_number: pullNumber, review_id: reviewId },
+  );
+  if (review.state !== "APPROVED") {
+    return `approval of #${pullNumber}: already ${review.state.toLowerCase()}`;
+  }
+  await plan.request(
+    "PUT /repos/{owner}/{repo}/pulls/{pull_number}/reviews/{review_id}/dismissals",
+    {
+      ...baseParams,
+      pull_number: pullNumber,
+      review_id: reviewId,
+      message: "Undoing an approval made by octoherd-renovate-driver.",
+      event: "DISMISS",
+    },
+    `dismiss approval ${reviewId} on #${pullNumber}`,
+  );
+  return `dismissed approval of #${pullNumber}`;
+}
+
+/**
+ * Disable auto-merge, unless the PR is closed or it's off already.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {JournalEntry} entry
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} plan
+ * @returns {Promise<string>} what was done
+ */
+async function disableAutoMerge(octokit, entry, plan) {
+  const { node: pr } = await octokit.graphql(
+    `query autoMergeState($id: ID!) {
+      node(id: $id) {
+        ... on PullRequest {
+          number
+          state
+          autoMergeRequest {
+            enabledAt
+          }
+        }
+      }
+    }`,
+    { id: entry.pullRequestId },
+  );
+  if (pr.state !== "OPEN") {
+    return `auto-merge on #${pr.number}: PR is ${pr.state.toLowerCase()}, skipped`;
+  }
+  if (!pr.autoMergeRequest) {
+    return `auto-merge on #${pr.number}: already disabled`;
+  }
+  await plan.graphql(
+    `mutation disableAutoMerge($pullRequestId: ID!) {
+      disablePullRequestAutoMerge(input: { pullRequestId: $pullRequestId }) {
+        clientMutationId
+      }
+    }`,
+    { pullRequestId: entry.pullRequestId },
+    `disable auto-merge on #${pr.number}`,
+    pr.number,
+  );
+  return `disabled auto-merge on #${pr.number}`;
+}
+
+/**
+ * Put the files a fix commit changed back the way they were, with a new
+ * commit on top of the PR branch. Files changed again since are left alone.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {JournalEntry} entry
+ * @param {object} baseParams - { owner, repo }
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} plan
+ * @returns {Promise<string>} what was done
+ */
+async function revertCommit(octokit, entry, baseParams, plan) {
+  const commit = entry.commit?.slice(0, 7);
+  const branch = /** @type {string} */ (entry.branch);
+  if (entry.pr !== undefined) {
+    const pr = await getPullRequest(octokit, baseParams, entry.pr);
+    if (pr.state !== "open") {
+      return `commit ${commit} on #${entry.pr}: PR is ${pr.merged_at ? "merged" : "closed"}, skipped`;
+    }
+  }
+
+  let head;
+  try {
+    ({
+      data: {
+        object: { sha: head },
+      },
+    } = await octokit.request("GET /repos/{owner}/{repo}/git/ref/{ref}", {
+      ...baseParams,
+      ref: `heads/${branch}`,
+    }));
+  } catch (error) {
+    if (error.status === 404) {
+      return `commit ${commit}: branch ${branch} is gone, skipped`;
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const { path, before, after } of entry.files ?? []) {
+    const current = await getFile(octokit, baseParams, path, head);
+    const unchanged =
+      current === undefined
+        ? after === null
+        : after !== null && gitBlobSha(current) === after;
+    if (!unchanged) {
+      continue;
+    }
+    // Files the commit created are deleted.
+    files.push({
+      path,
+      before: current ?? null,
+      after:
+        before === null ? null : await getBlob(octokit, baseParams, before),
+    });
+  }
+  if (files.length === 0) {
+    return `commit ${commit} on ${branch}: its changes are gone already`;
+  }
+
+  await plan.commitFiles(baseParams, {
+    branch,
+    parent: head,
+    files,
+    message: `Revert "${entry.description.replace(/^commit "(.*)" to .*$/, "$1")}"\n\nThis reverts commit ${entry.commit}.`,
+    pullNumber: entry.pr,
+  });
+  return `reverted commit ${commit} on ${branch} (${files.map(({ path }) => path).join(", ")})`;
+}
+
+/**
+ * Reverse what can be reversed of a repository's journal entries, newest
+ * first: dismiss approvals, disable auto-merge and revert fix commits, on
+ * PRs that are still open. Everything else, such as merges and workflow
+ * runs, is listed as not reversible.
+ *
+ * Entries that were undone already are recognised by the state they left
+ * behind, and the entries an undo journaled are left out, so running the
+ * undo again changes nothing.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {JournalEntry[]} options.entries
+ * @param {object} options.baseParams - { owner, repo }
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} options.plan
+ * @returns {Promise<{ undone: string[], skipped: string[] }>} what became of each reversible entry, and the entries that are not reversible
+ */
+export async function undoJournalEntries(
+  octokit,
+  { entries, baseParams, plan },
+) {
+  /** @type {string[]} */
+  const undone = [];
+  /** @type {string[]} */
+  const skipped = [];
+  for (const entry of entries.filter(({ undo }) => !undo).reverse()) {
+    if (entry.route === approveRoute && entry.parameters?.event === "APPROVE") {
+      undone.push(await dismissApproval(octokit, entry, baseParams, plan));
+    } else if (entry.endpoint === "POST /graphql enableAutoMerge") {
+      undone.push(await disableAutoMerge(octokit, entry, plan));
+    } else if (entry.commit && entry.files) {
+      undone.push(await revertCommit(octokit, entry, baseParams, plan));
+    } else {
+      skipped.push(entry.description);
+    }
+  }
+  return { undone, skipped };
+}
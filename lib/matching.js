@@ -0,0 +1,228 @@
+// @ts-check
+
+/**
+ * @param {string} value
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parse `--majorVersion`: `v11`, `11`, `latest`, or a range such as `>=v11`,
+ * `>v10`, `<=v12`, `<v13`.
+ *
+ * @param {string} majorVersion
+ * @returns {{ operator: "=" | ">=" | ">" | "<=" | "<" | "latest", major: number }}
+ */
+export function parseMajorVersion(majorVersion) {
+  if (majorVersion === "latest") {
+    return { operator: "latest", major: 0 };
+  }
+  const match = majorVersion.trim().match(/^(>=|>|<=|<|=)?\s*v?(\d+)$/);
+  if (!match) {
+    throw new Error(
+      `--majorVersion "${majorVersion}" is not a major version, a range like ">=v11" or "latest"`,
+    );
+  }
+  return {
+    operator: /** @type {"=" | ">=" | ">" | "<=" | "<"} */ (match[1] ?? "="),
+    major: Number(match[2]),
+  };
+}
+
+/**
+ * @param {number} major
+ * @param {ReturnType<typeof parseMajorVersion>} range
+ */
+function satisfies(major, { operator, major: bound }) {
+  switch (operator) {
+    case "latest":
+      return true;
+    case ">=":
+      return major >= bound;
+    case ">":
+      return major > bound;
+    case "<=":
+      return major <= bound;
+    case "<":
+      return major < bound;
+    default:
+      return major === bound;
+  }
+}
+
+/**
+ * @typedef {object} PrMatch
+ * @property {boolean} matched
+ * @property {boolean} related - whether a rejected PR is worth logging
+ * @property {string} reason - why the PR was matched or rejected
+ * @property {number} [major] - major version the PR updates to, if known
+ */
+
+/**
+ * Decide which PRs are the PR we're looking for, by title and author.
+ *
+ * `{library}` and `{group}` in `title` are replaced with their escaped
+ * values. When `title` has a `major` group, only PRs to a major version that
+ * satisfies `majorVersion` match.
+ *
+ * @param {object} options
+ * @param {string} options.title - regular expression
+ * @param {string[]} [options.authors] - logins that may have opened the PR
+ * @param {string} [options.library]
+ * @param {string} [options.group]
+ * @param {string} [options.majorVersion]
+ */
+export function createPrMatcher({
+  title,
+  authors = [],
+  library = "",
+  group = "",
+  majorVersion = "",
+}) {
+  const source = title
+    .replaceAll("{library}", escapeRegExp(library))
+    .replaceAll("{group}", escapeRegExp(group));
+  const titleRegExp = new RegExp(source);
+  const hasMajor = source.includes("(?<major>");
+  if (hasMajor && !majorVersion) {
+    throw new Error("--majorVersion is required, example v11");
+  }
+  const range = hasMajor ? parseMajorVersion(majorVersion) : undefined;
+  // Titles that mention what we're updating are worth explaining when they
+  // don't match. Everything else is just another PR.
+  const mentions = [];
+  if (library && title.includes("{library}")) {
+    mentions.push(library);
+  }
+  if (group && title.includes("{group}")) {
+    mentions.push(group);
+  }
+
+  return {
+    description: range ? `/${source}/ at ${majorVersion}` : `/${source}/`,
+    // With a range, several majors may have PRs. Drive the highest one.
+    pickHighest: range !== undefined && range.operator !== "=",
+    /**
+     * Match a title alone, for when there is no PR yet.
+     *
+     * @param {string} title
+     * @returns {PrMatch}
+     */
+    matchTitle(title) {
+      const related = mentions.some((value) => title.includes(value));
+      const match = title.match(titleRegExp);
+      if (!match) {
+        return {
+          matched: false,
+          related,
+          reason: `does not match /${source}/`,
+        };
+      }
+      if (!range) {
+        return { matched: true, related: true, reason: `matches /${source}/` };
+      }
+      const major = Number(match.groups?.major);
+      if (!satisfies(major, range)) {
+        return {
+          matched: false,
+          related: true,
+          reason: `v${major} is not ${majorVersion}`,
+          major,
+        };
+      }
+      return {
+        matched: true,
+        related: true,
+        reason: `v${major} satisfies ${majorVersion}`,
+        major,
+      };
+    },
+
+    /**
+     * Was the PR opened by one of the authors, if any are required?
+     *
+     * @param {any} pr - PR as returned by the REST API
+     */
+    matchAuthor(pr) {
+      return authors.length === 0 || authors.includes(pr.user?.login);
+    },
+
+    /**
+     * @param {any} pr - PR as returned by the REST API
+     * @returns {PrMatch}
+     */
+    match(pr) {
+      const titleMatch = this.matchTitle(pr.title);
+      const login = pr.user?.login;
+      if (titleMatch.matched && !this.matchAuthor(pr)) {
+        return {
+          ...titleMatch,
+          matched: false,
+          reason: `opened by ${login}, not ${authors.join(" or ")}`,
+        };
+      }
+      return titleMatch;
+    },
+  };
+}
+
+/**
+ * Pick the PRs to drive from all of a repository's PRs, keeping their order.
+ * Logs why related titles were rejected: at info level for open PRs, at
+ * debug level for closed ones, which pile up over time.
+ *
+ * When the matcher picks the highest major, only PRs for the highest major
+ * with an open PR are kept, or for the highest major overall if none is open
+ * (so that an already merged PR is still recognised).
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {string} repoFullName
+ * @param {any[]} prs - PRs as returned by the REST API
+ * @param {ReturnType<typeof createPrMatcher>} matcher
+ * @returns {{ pr: any, reason: string, major?: number }[]} PRs with why they matched, and the major they update to if known
+ */
+export function selectPullRequests(octokit, repoFullName, prs, matcher) {
+  /**
+   * @param {any} pr
+   * @param {string} reason
+   */
+  const reject = (pr, reason) => {
+    const level = pr.state === "open" ? "info" : "debug";
+    octokit.log[level](
+      `${repoFullName}: rejected "${pr.title}" ${pr.html_url}: ${reason}`,
+    );
+  };
+
+  /** @type {{ pr: any, match: PrMatch }[]} */
+  let matches = [];
+  for (const pr of prs) {
+    const match = matcher.match(pr);
+    if (match.matched) {
+      matches.push({ pr, match });
+    } else if (match.related) {
+      reject(pr, match.reason);
+    }
+  }
+
+  if (matcher.pickHighest && matches.length > 0) {
+    const open = matches.filter(({ pr }) => pr.state === "open");
+    const pool = open.length > 0 ? open : matches;
+    const highest = Math.max(...pool.map(({ match }) => match.major ?? 0));
+    for (const { pr, match } of matches) {
+      if (match.major !== highest) {
+        reject(
+          pr,
+          `v${match.major} is not the highest major with ${open.length > 0 ? "an open PR" : "a PR"} (v${highest})`,
+        );
+      }
+    }
+    matches = matches.filter(({ match }) => match.major === highest);
+  }
+
+  return matches.map(({ pr, match }) => ({
+    pr,
+    reason: match.reason,
+    major: match.major,
+  }));
+}
@@ -0,0 +1,83 @@
+// @ts-check
+
+export const mergeMethods = ["squash", "merge", "rebase"];
+
+/**
+ * Repository settings that allow each merge method.
+ */
+const mergeMethodSettings = {
+  squash: "allow_squash_merge",
+  merge: "allow_merge_commit",
+  rebase: "allow_rebase_merge",
+};
+
+/**
+ * @param {string} mergeMethod - from `--mergeMethod`
+ * @returns {"squash" | "merge" | "rebase"}
+ */
+export function parseMergeMethod(mergeMethod) {
+  const normalized = mergeMethod.toLowerCase();
+  if (!mergeMethods.includes(normalized)) {
+    throw new Error(
+      `Unknown merge method "${mergeMethod}", use one of: ${mergeMethods.join(", ")}`,
+    );
+  }
+  return /** @type {"squash" | "merge" | "rebase"} */ (normalized);
+}
+
+/**
+ * Merge methods the repository allows. Repositories listed for an owner
+ * don't include the merge settings, so they are fetched when missing. They
+ * are only visible with push access; without it, assume every method is
+ * allowed and let GitHub decide.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {import('@octoherd/cli').Repository} repository
+ * @returns {Promise<string[]>}
+ */
+export async function getAllowedMergeMethods(octokit, baseParams, repository) {
+  let settings = /** @type {Record<string, any>} */ (repository);
+  if (settings.allow_squash_merge === undefined) {
+    ({ data: settings } = await octokit.request(
+      "GET /repos/{owner}/{repo}",
+      baseParams,
+    ));
+  }
+  return mergeMethods.filter(
+    (method) => settings[mergeMethodSettings[method]] !== false,
+  );
+}
+
+/**
+ * Describe where the PR is in its merge queue, e.g. `position 2 in the merge
+ * queue (AWAITING_CHECKS)`.
+ *
+ * @param {{ position: number, state: string }} mergeQueueEntry
+ */
+export function describeMergeQueueEntry({ position, state }) {
+  return `position ${position} in the merge queue (${state})`;
+}
+
+/**
+ * When the PR was last taken out of the merge queue without being merged,
+ * and nothing was pushed since, return why. A PR that was ejected because
+ * its checks failed in the queue would only be ejected again.
+ *
+ * @param {any} resource - `PullRequest` from the status query, with `timelineItems` of merge queue events and the head commit's `committedDate`
+ * @returns {string | undefined} the reason it was removed
+ */
+export function getMergeQueueEjection(resource) {
+  const [lastEvent] = resource.timelineItems?.nodes ?? [];
+  if (lastEvent?.__typename !== "RemovedFromMergeQueueEvent") {
+    return;
+  }
+  const committedDate = resource.commits.nodes[0].commit.committedDate;
+  if (
+    committedDate &&
+    Date.parse(committedDate) > Date.parse(lastEvent.createdAt)
+  ) {
+    return;
+  }
+  return lastEvent.reason || "no reason given";
+}
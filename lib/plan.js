@@ -0,0 +1,381 @@
+// @ts-check
+
+import { createTwoFilesPatch } from "diff";
+
+import {
+  appendJournalEntry,
+  gitBlobSha,
+  journalParameters,
+} from "./journal.js";
+
+const mutatingMethods = ["POST", "PUT", "PATCH", "DELETE"];
+
+/** @type {WeakSet<object>} */
+const guardedOctokits = new WeakSet();
+
+/**
+ * Last line of defence for `--dryRun`: refuse any mutating request that did
+ * not go through the plan. GraphQL queries are POSTs too, so only mutations
+ * are rejected on `/graphql`.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ */
+function guardAgainstMutations(octokit) {
+  if (guardedOctokits.has(octokit)) {
+    return;
+  }
+  guardedOctokits.add(octokit);
+
+  octokit.hook.wrap("request", async (request, options) => {
+    if (mutatingMethods.includes(options.method)) {
+      const isGraphqlQuery =
+        options.url === "/graphql" &&
+        !/^\s*mutation\b/.test(String(options.query ?? ""));
+      if (!isGraphqlQuery) {
+        throw new Error(
+          `dry run: refusing to send ${options.method} ${options.url}`,
+        );
+      }
+    }
+    return request(options);
+  });
+}
+
+/**
+ * The modes of files in a tree, so that a commit keeps executable bits. Walks
+ * down one directory at a time, as GitHub truncates recursive listings of
+ * large trees. Files that don't exist yet are left out.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} treeSha - root tree
+ * @param {string[]} paths
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getFileModes(octokit, baseParams, treeSha, paths) {
+  /** @type {Map<string, any[]>} entries by directory, `""` for the root */
+  const trees = new Map();
+  /**
+   * @param {string} dir
+   * @returns {Promise<any[]>} empty if the directory doesn't exist
+   */
+  const listTree = async (dir) => {
+    const cached = trees.get(dir);
+    if (cached) {
+      return cached;
+    }
+    let sha = treeSha;
+    if (dir) {
+      const name = dir.split("/").pop();
+      const parent = await listTree(dir.split("/").slice(0, -1).join("/"));
+      sha = parent.find(
+        (entry) => entry.path === name && entry.type === "tree",
+      )?.sha;
+    }
+    const entries = sha
+      ? (
+          await octokit.request(
+            "GET /repos/{owner}/{repo}/git/trees/{tree_sha}",
+            { ...baseParams, tree_sha: sha },
+          )
+        ).data.tree
+      : [];
+    trees.set(dir, entries);
+    return entries;
+  };
+
+  /** @type {Map<string, string>} */
+  const modes = new Map();
+  for (const path of paths) {
+    const name = path.split("/").pop();
+    const entries = await listTree(path.split("/").slice(0, -1).join("/"));
+    const entry = entries.find(
+      (entry) => entry.path === name && entry.type === "blob",
+    );
+    if (entry) {
+      modes.set(path, entry.mode);
+    }
+  }
+  return modes;
+}
+
+/**
+ * Every mutation the script makes goes through a plan. Normally the plan just
+ * passes requests on to octokit. With `dryRun` it records them instead, so
+ * that the read paths still run and we can print what would have happened.
+ * With a `journal`, every mutation actually sent is appended to it.
+ *
+ * `reportOnly` records requests like a dry run, but without refusing
+ * mutations sent some other way, so that other plans can still make them.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {string} options.repoFullName - for logging
+ * @param {boolean} options.dryRun
+ * @param {boolean} [options.reportOnly] - record instead of sending, as `dryRun` does, e.g. once the failure budget is spent
+ * @param {string} [options.journal] - path of the NDJSON journal
+ * @param {boolean} [options.undo] - mark journal entries as made by `--undo`, so that it leaves them alone
+ */
+export function createPlan(
+  octokit,
+  { repoFullName, dryRun, reportOnly = false, journal, undo = false },
+) {
+  if (dryRun) {
+    guardAgainstMutations(octokit);
+  }
+  const planOnly = dryRun || reportOnly;
+
+  /** @type {{ description: string, endpoint: string, diff?: string }[]} */
+  const steps = [];
+
+  /**
+   * @param {string} route
+   * @param {object} parameters
+   */
+  function resolveEndpoint(route, parameters) {
+    const { method, url } = octokit.request.endpoint(route, parameters);
+    const baseUrl = octokit.request.endpoint.DEFAULTS.baseUrl;
+    return `${method} ${decodeURIComponent(url.replace(baseUrl, ""))}`;
+  }
+
+  /**
+   * @param {Omit<import('./journal.js').JournalEntry, "time" | "repository">} entry
+   */
+  function record(entry) {
+    if (journal) {
+      appendJournalEntry(journal, {
+        repository: repoFullName,
+        ...entry,
+        ...(undo ? { undo: true } : {}),
+      });
+    }
+  }
+
+  return {
+    dryRun,
+
+    /**
+     * Send (or record) a mutating REST request.
+     *
+     * @param {string} route
+     * @param {object} parameters
+     * @param {string} description - what the request does, for the plan
+     * @param {import('@octoherd/cli').Octokit} [client] - to send it with another token. Defaults to the script's.
+     * @returns {Promise<any>} the response, or `undefined` in a dry run
+     */
+    async request(route, parameters, description, client = octokit) {
+      if (!planOnly) {
+        const response = await client.request(route, parameters);
+        const { id, sha, html_url } = response.data ?? {};
+        // Issue numbers are PR numbers too, for comments on PRs. Other
+        // repositories' issues, such as the tracking issue, are not about
+        // this repository's PRs.
+        const sameRepository =
+          `${parameters.owner}/${parameters.repo}` === repoFullName;
+        record({
+          pr:
+            parameters.pull_number ??
+            (sameRepository ? parameters.issue_number : undefined),
+          endpoint: resolveEndpoint(route, parameters),
+          route,
+          description,
+          parameters: journalParameters(parameters),
+          result: { id, sha, url: html_url },
+        });
+        return response;
+      }
+      steps.push({
+        description,
+        endpoint: resolveEndpoint(route, parameters),
+      });
+    },
+
+    /**
+     * Send (or record) a GraphQL mutation.
+     *
+     * @param {string} mutation
+     * @param {object} variables
+     * @param {string} description - what the mutation does, for the plan
+     * @param {number} [pullNumber] - PR the mutation is about, for the journal
+     * @returns {Promise<any>} the response, or `undefined` in a dry run
+     */
+    async graphql(mutation, variables, description, pullNumber) {
+      const name = mutation.match(/^\s*mutation\s+(\w+)/)?.[1] ?? "mutation";
+      if (!planOnly) {
+        const response = await octokit.graphql(mutation, variables);
+        record({
+          pr: pullNumber,
+          pullRequestId: variables.pullRequestId,
+          endpoint: `POST /graphql ${name}`,
+          description,
+          parameters: journalParameters(variables),
+        });
+        return response;
+      }
+      steps.push({
+        description,
+        endpoint: `POST /graphql ${name}(${JSON.stringify(variables)})`,
+      });
+    },
+
+    /**
+     * Commit (or record) changes to several files as a single commit, through
+     * the Git Data API: blobs, tree, commit, then a fast-forward of the branch.
+     *
+     * Throws an error with `refMoved` set when the branch no longer points at
+     * `parent`, so that callers can start over.
+     *
+     * @param {object} baseParams - { owner, repo }
+     * @param {object} commit
+     * @param {string} commit.branch
+     * @param {string} commit.parent - SHA the branch is expected to point at
+     * @param {{ path: string, before: string | null, after: string | null }[]} commit.files - `null` for a file that doesn't exist, before or after the commit
+     * @param {string} commit.message
+     * @param {number} [commit.pullNumber] - PR the branch belongs to, for the journal
+     */
+    async commitFiles(
+      baseParams,
+      { branch, parent, files, message, pullNumber },
+    ) {
+      if (planOnly) {
+        const subject = message.split("\n")[0];
+        steps.push({
+          description: `commit "${subject}" to ${branch}`,
+          endpoint: [
+            `POST /repos/${baseParams.owner}/${baseParams.repo}/git/blobs (x${files.filter(({ after }) => after !== null).length})`,
+            `POST /repos/${baseParams.owner}/${baseParams.repo}/git/trees`,
+            `POST /repos/${baseParams.owner}/${baseParams.repo}/git/commits`,
+            resolveEndpoint("PATCH /repos/{owner}/{repo}/git/refs/{ref}", {
+              ...baseParams,
+              ref: `heads/${branch}`,
+            }),
+          ].join("\n     "),
+          diff: files
+            .map(({ path, before, after }) =>
+              createTwoFilesPatch(
+                before === null ? "/dev/null" : `a/${path}`,
+                after === null ? "/dev/null" : `b/${path}`,
+                before ?? "",
+                after ?? "",
+              ).trimEnd(),
+            )
+            .join("\n"),
+        });
+        return;
+      }
+
+      const { data: parentCommit } = await octokit.request(
+        "GET /repos/{owner}/{repo}/git/commits/{commit_sha}",
+        { ...baseParams, commit_sha: parent },
+      );
+
+      // New files are plain files, existing ones keep their mode.
+      const modes = await getFileModes(
+        octokit,
+        baseParams,
+        parentCommit.tree.sha,
+        files.map(({ path }) => path),
+      );
+      const tree = [];
+      for (const { path, after } of files) {
+        const mode = /** @type {"100644" | "100755" | "120000"} */ (
+          modes.get(path) ?? "100644"
+        );
+        if (after === null) {
+          // A tree entry without a blob deletes the file.
+          tree.push({
+            path,
+            mode,
+            type: /** @type {const} */ ("blob"),
+            sha: null,
+          });
+          continue;
+        }
+        const { data: blob } = await octokit.request(
+          "POST /repos/{owner}/{repo}/git/blobs",
+          {
+            ...baseParams,
+            content: Buffer.from(after).toString("base64"),
+            encoding: "base64",
+          },
+        );
+        tree.push({
+          path,
+          mode,
+          type: /** @type {const} */ ("blob"),
+          sha: blob.sha,
+        });
+      }
+
+      const { data: newTree } = await octokit.request(
+        "POST /repos/{owner}/{repo}/git/trees",
+        { ...baseParams, base_tree: parentCommit.tree.sha, tree },
+      );
+      const { data: newCommit } = await octokit.request(
+        "POST /repos/{owner}/{repo}/git/commits",
+        { ...baseParams, message, tree: newTree.sha, parents: [parent] },
+      );
+
+      try {
+        await octokit.request("PATCH /repos/{owner}/{repo}/git/refs/{ref}", {
+          ...baseParams,
+          ref: `heads/${branch}`,
+          sha: newCommit.sha,
+          force: false,
+        });
+      } catch (error) {
+        // 422 "Update is not a fast forward": someone pushed since we read.
+        if (error.status === 422) {
+          throw Object.assign(
+            new Error(`${branch} no longer points at ${parent}`),
+            { refMoved: true },
+          );
+        }
+        throw error;
+      }
+      record({
+        pr: pullNumber,
+        endpoint: resolveEndpoint(
+          "PATCH /repos/{owner}/{repo}/git/refs/{ref}",
+          {
+            ...baseParams,
+            ref: `heads/${branch}`,
+          },
+        ),
+        description: `commit "${message.split("\n")[0]}" to ${branch}`,
+        branch,
+        parent,
+        commit: newCommit.sha,
+        files: files.map(({ path, before, after }) => ({
+          path,
+          before: before === null ? null : gitBlobSha(before),
+          after: after === null ? null : gitBlobSha(after),
+        })),
+      });
+      return newCommit;
+    },
+
+    /**
+     * Log everything recorded so far. Does nothing unless this is a dry run,
+     * or only reporting.
+     */
+    print() {
+      if (!planOnly) {
+        return;
+      }
+      const mode = dryRun ? "dry run" : "only reporting";
+      if (steps.length === 0) {
+        octokit.log.info(`${repoFullName}: ${mode}, no changes planned`);
+        return;
+      }
+      const lines = steps.map(({ description, endpoint, diff }, index) =>
+        [`  ${index + 1}. ${description}`, `     ${endpoint}`, diff]
+          .filter(Boolean)
+          .join("\n"),
+      );
+      octokit.log.info(
+        `${repoFullName}: ${mode}, ${steps.length} planned change(s):\n${lines.join("\n")}`,
+      );
+    },
+  };
+}
@@ -0,0 +1,74 @@
+// @ts-check
+
+import { currentTime, skipTime } from "./recording.js";
+
+const firstDelaySeconds = 30;
+const maxDelaySeconds = 5 * 60;
+const backoffFactor = 1.5;
+// Leave some of the rate limit for the rest of the herd.
+const minRemainingRequests = 200;
+
+/**
+ * Sleep, or skip ahead when replaying a recording.
+ *
+ * @param {number} milliseconds
+ */
+export function sleep(milliseconds) {
+  if (skipTime(milliseconds)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * When the next poll is allowed by the REST and GraphQL rate limits, as
+ * milliseconds since the epoch. `GET /rate_limit` itself is free.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ */
+async function rateLimitedUntil(octokit) {
+  const {
+    data: { resources },
+  } = await octokit.request("GET /rate_limit");
+  let until = 0;
+  for (const limit of [resources.core, resources.graphql]) {
+    if (limit && limit.remaining < minRemainingRequests) {
+      until = Math.max(until, limit.reset * 1000);
+    }
+  }
+  return until;
+}
+
+/**
+ * Sleep before polling a repository again, backing off exponentially and
+ * waiting out the rate limit when it runs low.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {string} options.repoFullName - for logging
+ * @param {number} options.poll - how many polls were made so far, starting at 1
+ * @param {number} options.deadline - milliseconds since the epoch, see `currentTime()`
+ * @param {string} options.waitingFor - for logging
+ * @returns {Promise<boolean>} `false` if the deadline would pass first
+ */
+export async function waitForNextPoll(
+  octokit,
+  { repoFullName, poll, deadline, waitingFor },
+) {
+  const delay =
+    Math.min(firstDelaySeconds * backoffFactor ** (poll - 1), maxDelaySeconds) *
+    1000;
+  const nextPoll = Math.max(
+    currentTime() + delay,
+    await rateLimitedUntil(octokit),
+  );
+  if (nextPoll > deadline) {
+    return false;
+  }
+
+  octokit.log.info(
+    `${repoFullName}: waiting ${Math.round((nextPoll - currentTime()) / 1000)}s (${waitingFor})`,
+  );
+  await sleep(nextPoll - currentTime());
+  return true;
+}
@@ -0,0 +1,132 @@
+// @ts-check
+
+import { readFile } from "fs/promises";
+import { resolve } from "path";
+
+/**
+ * A profile describes one kind of bot PR: how to recognise it and how to get
+ * it (re)created.
+ *
+ * `title` is a regular expression. `{library}` and `{group}` in it are
+ * replaced with the `--library` and `--group` options. A `(?<major>\d+)` group
+ * means the PR updates something to a major version, and `--majorVersion`
+ * selects which.
+ *
+ * @typedef {object} Profile
+ * @property {string} name
+ * @property {string} title
+ * @property {string} [search] - GitHub search terms that find the PR by its title, e.g. a quoted phrase. `{library}` and `{group}` are replaced as in `title`. Without it, only recent PRs are looked at.
+ * @property {string[]} [authors] - logins that may have opened the PR. Any login when empty.
+ * @property {string | null} [workflow] - file name under `.github/workflows` of the workflow that (re)creates the PR, `null` if there is none
+ * @property {boolean} [maxAge] - whether PRs merged more than `--maxAgeDays` ago are ignored, for PRs that come back again and again
+ * @property {boolean} [dashboard] - whether the PR can be requested through Renovate's Dependency Dashboard
+ */
+
+/** @type {Profile[]} */
+export const builtInProfiles = [
+  {
+    name: "renovate",
+    title:
+      "^fix\\(deps\\): update dependency {library} to v?(?<major>\\d+)(?:\\.\\d+)*(?:\\s|$)",
+    search: '"update dependency {library}"',
+    workflow: "renovate.yml",
+    maxAge: false,
+    dashboard: true,
+  },
+  {
+    name: "all",
+    title: "^fix\\(deps\\): update all non-major dependencies",
+    search: '"update all non-major dependencies"',
+    workflow: "renovate.yml",
+    maxAge: true,
+    dashboard: true,
+  },
+  {
+    name: "projen",
+    title: "^fix\\(deps\\): upgrade projen",
+    search: '"upgrade projen"',
+    workflow: "update-projen-main.yml",
+    maxAge: true,
+    dashboard: false,
+  },
+  {
+    name: "renovate-group",
+    title: "^fix\\(deps\\): update {group}(?:\\s|$)",
+    search: '"update {group}"',
+    workflow: "renovate.yml",
+    maxAge: true,
+    dashboard: true,
+  },
+  {
+    name: "dependabot",
+    title:
+      "^(?:[\\w()-]+: )?[Bb]ump {library} from \\S+ to v?(?<major>\\d+)(?:\\.\\d+)*(?:\\s|$)",
+    search: '"bump {library}"',
+    authors: ["dependabot[bot]"],
+    workflow: null,
+    maxAge: false,
+    dashboard: false,
+  },
+];
+
+/**
+ * Built-in profiles, overridden and extended by the ones in a JSON file. The
+ * file holds an array of profiles, or an object of profiles keyed by name.
+ *
+ * @param {string} [path] - from `--profiles`
+ * @returns {Promise<Map<string, Profile>>}
+ */
+export async function loadProfiles(path) {
+  /** @type {Map<string, Profile>} */
+  const profiles = new Map(
+    builtInProfiles.map((profile) => [profile.name, profile]),
+  );
+  if (!path) {
+    return profiles;
+  }
+
+  const parsed = JSON.parse(
+    await readFile(resolve(process.cwd(), path), "utf-8"),
+  );
+  const entries = Array.isArray(parsed)
+    ? parsed.map((profile) => [profile.name, profile])
+    : Object.entries(parsed);
+  for (const [name, profile] of entries) {
+    if (!name || typeof profile?.title !== "string") {
+      throw new Error(`${path}: every profile needs a name and a title`);
+    }
+    profiles.set(name, {
+      workflow: null,
+      maxAge: false,
+      dashboard: false,
+      ...profile,
+      name,
+    });
+  }
+  return profiles;
+}
+
+/**
+ * Pick the profile to run with. `--majorVersion all` and `--majorVersion
+ * projen` predate profiles and still select theirs.
+ *
+ * @param {Map<string, Profile>} profiles
+ * @param {object} options
+ * @param {string} [options.profile] - from `--profile`
+ * @param {string} [options.majorVersion]
+ * @returns {Profile}
+ */
+export function resolveProfile(profiles, { profile, majorVersion }) {
+  const name =
+    profile ??
+    (majorVersion === "all" || majorVersion === "projen"
+      ? majorVersion
+      : "renovate");
+  const resolved = profiles.get(name);
+  if (!resolved) {
+    throw new Error(
+      `Unknown profile "${name}", use one of: ${[...profiles.keys()].join(", ")}`,
+    );
+  }
+  return resolved;
+}
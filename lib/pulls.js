@@ -0,0 +1,233 @@
+// @ts-check
+
+// Everything the script needs to know about a PR, so that finding the PR and
+// deciding what to do with it take a single query.
+const pullRequestFields = `
+  id
+  databaseId
+  number
+  title
+  url
+  state
+  isDraft
+  mergedAt
+  mergeCommit {
+    oid
+  }
+  closedAt
+  body
+  author {
+    __typename
+    login
+  }
+  baseRefName
+  headRefName
+  headRefOid
+  headRepository {
+    nameWithOwner
+  }
+  # merge status
+  mergeable
+  mergeStateStatus
+  viewerCanUpdate
+  # review status
+  reviewDecision
+  viewerDidAuthor
+  latestOpinionatedReviews(first: 10, writersOnly: true) {
+    nodes {
+      viewerDidAuthor
+      state
+    }
+  }
+  reviewRequests(first: 100) {
+    nodes {
+      asCodeOwner
+      requestedReviewer {
+        __typename
+        ... on User {
+          login
+        }
+        ... on Team {
+          combinedSlug
+        }
+      }
+    }
+  }
+  autoMergeRequest {
+    enabledAt
+  }
+  # merge queue status
+  isMergeQueueEnabled
+  isInMergeQueue
+  mergeQueueEntry {
+    position
+    state
+  }
+  timelineItems(
+    last: 1
+    itemTypes: [ADDED_TO_MERGE_QUEUE_EVENT, REMOVED_FROM_MERGE_QUEUE_EVENT]
+  ) {
+    nodes {
+      __typename
+      ... on RemovedFromMergeQueueEvent {
+        createdAt
+        reason
+      }
+    }
+  }
+  # CI status
+  commits(last: 1) {
+    nodes {
+      commit {
+        oid
+        committedDate
+        statusCheckRollup {
+          state
+          contexts(first: 100) {
+            nodes {
+              __typename
+              ... on CheckRun {
+                name
+                status
+                conclusion
+              }
+              ... on StatusContext {
+                context
+                state
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Search results are small, but recent PRs are read a page at a time.
+const searchSize = 30;
+const pageSize = 50;
+
+/**
+ * The PR in the shape of the REST API, which the rest of the script and
+ * fixers work with, plus the GraphQL `status` it was found with.
+ *
+ * @param {any} node - `PullRequest`
+ */
+function toPullRequest(node) {
+  // GraphQL leaves off the `[bot]` suffix that REST and profiles use.
+  const login =
+    node.author?.__typename === "Bot"
+      ? `${node.author.login}[bot]`
+      : node.author?.login;
+  return {
+    id: node.databaseId,
+    node_id: node.id,
+    number: node.number,
+    title: node.title,
+    html_url: node.url,
+    state: node.state === "OPEN" ? "open" : "closed",
+    draft: node.isDraft,
+    merged_at: node.mergedAt,
+    merge_commit_sha: node.mergeCommit?.oid ?? null,
+    closed_at: node.closedAt,
+    body: node.body,
+    user: login ? { login } : null,
+    base: { ref: node.baseRefName },
+    head: {
+      ref: node.headRefName,
+      sha: node.headRefOid,
+      repo: node.headRepository
+        ? { full_name: node.headRepository.nameWithOwner }
+        : null,
+    },
+    status: node,
+  };
+}
+
+/**
+ * Find the candidate PRs, newest first.
+ *
+ * With `search` terms, a title search finds them wherever they are in the
+ * repository's history. Search results can lag a little behind new PRs, so
+ * when the search has nothing the matcher likes, or there are no terms to
+ * search for, the most recent PRs are read instead, a page at a time, until a
+ * page has a PR that matches or `maxPages` have been read.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {object} options.baseParams - { owner, repo }
+ * @param {ReturnType<typeof import('./matching.js').createPrMatcher>} options.matcher
+ * @param {string} [options.search] - title search terms
+ * @param {number} [options.maxPages] - of recent PRs. Defaults to 4.
+ * @returns {Promise<ReturnType<typeof toPullRequest>[]>}
+ */
+export async function findPullRequests(
+  octokit,
+  { baseParams, matcher, search, maxPages = 4 },
+) {
+  /**
+   * @param {ReturnType<typeof toPullRequest>[]} prs
+   */
+  const hasMatch = (prs) => prs.some((pr) => matcher.match(pr).matched);
+
+  if (search) {
+    const { search: results } = await octokit.graphql(
+      `query findPullRequests($searchQuery: String!, $first: Int!) {
+        search(query: $searchQuery, type: ISSUE, first: $first) {
+          nodes {
+            ... on PullRequest {
+              ${pullRequestFields}
+            }
+          }
+        }
+      }`,
+      {
+        searchQuery: `repo:${baseParams.owner}/${baseParams.repo} is:pr in:title ${search} sort:created-desc`,
+        first: searchSize,
+      },
+    );
+    const prs = results.nodes.filter((node) => node?.number).map(toPullRequest);
+    if (hasMatch(prs)) {
+      return prs;
+    }
+  }
+
+  const prs = [];
+  let after = null;
+  for (let page = 1; page <= maxPages; page++) {
+    const {
+      repository: { pullRequests },
+    } = await octokit.graphql(
+      `query recentPullRequests(
+        $owner: String!
+        $repo: String!
+        $first: Int!
+        $after: String
+      ) {
+        repository(owner: $owner, name: $repo) {
+          pullRequests(
+            first: $first
+            after: $after
+            orderBy: { field: CREATED_AT, direction: DESC }
+          ) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              ${pullRequestFields}
+            }
+          }
+        }
+      }`,
+      { ...baseParams, first: pageSize, after },
+    );
+    const pagePrs = pullRequests.nodes.map(toPullRequest);
+    prs.push(...pagePrs);
+    if (hasMatch(pagePrs) || !pullRequests.pageInfo.hasNextPage) {
+      break;
+    }
+    after = pullRequests.pageInfo.endCursor;
+  }
+  return prs;
+}
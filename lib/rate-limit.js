@@ -0,0 +1,89 @@
+// @ts-check
+
+/**
+ * @typedef {object} RateLimitUsage
+ * @property {number} requests - REST requests
+ * @property {number} queries - GraphQL requests
+ * @property {Record<string, number>} used - rate limit used per resource, e.g. `core` and `graphql`
+ * @property {Record<string, number>} remaining - left per resource, as of the last response
+ */
+
+/** @type {WeakSet<object>} */
+const meteredOctokits = new WeakSet();
+
+/** @type {RateLimitUsage | undefined} */
+let currentUsage;
+
+/**
+ * Last `x-ratelimit-used` seen per resource and window, to work out what
+ * each response cost. Kept across repositories, since the windows are.
+ *
+ * @type {Map<string, { used: number, reset: string }>}
+ */
+const lastSeen = new Map();
+
+/**
+ * @param {import('@octoherd/cli').Octokit} octokit
+ */
+function meterRequests(octokit) {
+  if (meteredOctokits.has(octokit)) {
+    return;
+  }
+  meteredOctokits.add(octokit);
+
+  octokit.hook.wrap("request", async (request, options) => {
+    const usage = currentUsage;
+    if (usage) {
+      if (options.url === "/graphql") {
+        usage.queries++;
+      } else {
+        usage.requests++;
+      }
+    }
+    const response = await request(options);
+    const headers = response.headers ?? {};
+    const resource = headers["x-ratelimit-resource"];
+    if (usage && resource && headers["x-ratelimit-used"] !== undefined) {
+      const used = Number(headers["x-ratelimit-used"]);
+      const reset = String(headers["x-ratelimit-reset"]);
+      const last = lastSeen.get(resource);
+      // Without an earlier response in the same window, assume a cost of 1.
+      const cost =
+        last && last.reset === reset ? Math.max(used - last.used, 0) : 1;
+      lastSeen.set(resource, { used, reset });
+      usage.used[resource] = (usage.used[resource] ?? 0) + cost;
+      usage.remaining[resource] = Number(headers["x-ratelimit-remaining"]);
+    }
+    return response;
+  });
+}
+
+/**
+ * Start metering what a repository costs in rate limit. Octoherd handles one
+ * repository at a time, so everything sent until the next call is counted
+ * against this one.
+ *
+ * The cost comes from GitHub's `x-ratelimit-used` header, so other clients
+ * using the same token in the meantime are counted too.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @returns {RateLimitUsage}
+ */
+export function meterRateLimit(octokit) {
+  meterRequests(octokit);
+  currentUsage = { requests: 0, queries: 0, used: {}, remaining: {} };
+  return currentUsage;
+}
+
+/**
+ * e.g. `5 REST requests, 2 GraphQL queries; used core 5 (4990 left), graphql 3 (4980 left)`
+ *
+ * @param {RateLimitUsage} usage
+ */
+export function formatRateLimitUsage({ requests, queries, used, remaining }) {
+  const resources = Object.entries(used).map(
+    ([resource, cost]) =>
+      `${resource} ${cost}${Number.isNaN(remaining[resource]) ? "" : ` (${remaining[resource]} left)`}`,
+  );
+  return `${requests} REST requests, ${queries} GraphQL queries${resources.length > 0 ? `; used ${resources.join(", ")}` : ""}`;
+}
@@ -0,0 +1,297 @@
+// @ts-check
+
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { dirname, join, resolve } from "path";
+
+/**
+ * A response as it came back, or as it is served again.
+ *
+ * @typedef {object} RecordedResponse
+ * @property {string} request - method and URL, and for GraphQL the query and variables
+ * @property {number} status
+ * @property {Record<string, string>} headers
+ * @property {any} data
+ */
+
+/**
+ * @typedef {object} Recording
+ * @property {string} repository - full name
+ * @property {import('@octoherd/cli').Repository} [repositoryPayload] - the repository as Octoherd passed it to the script, which a replay goes by instead
+ * @property {string} recordedAt - ISO 8601, what "now" is when replaying
+ * @property {RecordedResponse[]} responses - in the order they came
+ * @property {import('./report.js').RepositoryOutcome} [outcome] - how the recorded run ended
+ */
+
+/** @type {WeakSet<object>} */
+const watchedOctokits = new WeakSet();
+
+/**
+ * Octoherd handles one repository at a time, so whatever is sent until the
+ * session ends belongs to this one.
+ *
+ * @type {{ mode: "record", path: string, recording: Recording, lookup: { path: string, response: object } } | { mode: "replay", path: string, recording: Recording, queues: Map<string, RecordedResponse[]>, startedAt: number, skipped: number } | undefined}
+ */
+let session;
+
+/**
+ * @param {string} dir
+ * @param {string} repoFullName
+ */
+function recordingPath(dir, repoFullName) {
+  return resolve(process.cwd(), join(dir, `${repoFullName}.json`));
+}
+
+/**
+ * Where recordings keep Octoherd's lookups of the repositories, laid out as
+ * Octoherd's request cache.
+ *
+ * @param {string} dir
+ */
+function lookupDir(dir) {
+  return join(dir, "lookups");
+}
+
+/**
+ * What identifies a request. REST bodies are left out: the URL says what a
+ * request is about, and bodies may hold the time, like the tracking issue.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {any} options - of the request hook
+ */
+function describeRequest(octokit, options) {
+  const { method, url, body } = octokit.request.endpoint(options);
+  const path = url.replace(octokit.request.endpoint.DEFAULTS.baseUrl, "");
+  if (path !== "/graphql") {
+    return `${method} ${path}`;
+  }
+  return `${method} ${path} ${typeof body === "string" ? body : JSON.stringify(body)}`;
+}
+
+/**
+ * Record or replay what `octokit` sends while a session is on. Safe to call
+ * more than once, e.g. for every repository, and for other clients such as
+ * the approver's.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ */
+export function watchRequests(octokit) {
+  if (watchedOctokits.has(octokit)) {
+    return;
+  }
+  watchedOctokits.add(octokit);
+
+  octokit.hook.wrap("request", async (request, options) => {
+    const current = session;
+    if (!current) {
+      return request(options);
+    }
+    const key = describeRequest(octokit, options);
+
+    if (current.mode === "replay") {
+      const queue = current.queues.get(key);
+      if (!queue) {
+        throw new Error(`${key.slice(0, 200)} is not in ${current.path}`);
+      }
+      // A request sent more often than recorded, e.g. one more poll, gets
+      // the last response again.
+      const recorded = queue.length > 1 ? queue.shift() : queue[0];
+      const { status, headers, data } = /** @type {RecordedResponse} */ (
+        recorded
+      );
+      const response = { status, url: options.url, headers, data };
+      if (status >= 400) {
+        throw Object.assign(new Error(data?.message ?? `HTTP ${status}`), {
+          status,
+          response,
+        });
+      }
+      return response;
+    }
+
+    try {
+      const response = await request(options);
+      current.recording.responses.push({
+        request: key,
+        status: response.status,
+        headers: response.headers,
+        data: response.data,
+      });
+      return response;
+    } catch (error) {
+      if (error.response) {
+        current.recording.responses.push({
+          request: key,
+          status: error.status,
+          headers: error.response.headers,
+          data: error.response.data,
+        });
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Start saving the repository and every request and response for it,
+ * written to `<dir>/<owner>/<repo>.json` by `endSession()`.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {string} dir
+ * @param {import('@octoherd/cli').Repository} repository
+ */
+export function startRecording(octokit, dir, repository) {
+  watchRequests(octokit);
+  const { url } = octokit.request.endpoint("GET /repos/{owner}/{repo}", {
+    owner: repository.owner.login,
+    repo: repository.name,
+  });
+  session = {
+    mode: "record",
+    path: recordingPath(dir, repository.full_name),
+    recording: {
+      repository: repository.full_name,
+      repositoryPayload: repository,
+      recordedAt: new Date().toISOString(),
+      responses: [],
+    },
+    // What Octoherd gets when it looks the repository up before the script
+    // runs, so that a replay doesn't need to.
+    lookup: {
+      path: resolve(
+        process.cwd(),
+        join(lookupDir(dir), `${new URL(url).pathname}.json`),
+      ),
+      response: { status: 200, url, headers: {}, data: repository },
+    },
+  };
+}
+
+/**
+ * @param {string} dir
+ * @param {string} repoFullName
+ * @returns {Recording}
+ */
+export function readRecording(dir, repoFullName) {
+  return JSON.parse(readFileSync(recordingPath(dir, repoFullName), "utf-8"));
+}
+
+/**
+ * Start serving a repository's requests from its recording, with the clock
+ * set back to when it was recorded. Requests that are not in the recording
+ * fail, nothing goes out to the network.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {string} dir
+ * @param {Recording} recording - see `readRecording()`
+ */
+export function startReplay(octokit, dir, recording) {
+  watchRequests(octokit);
+  const path = recordingPath(dir, recording.repository);
+
+  /** @type {Map<string, RecordedResponse[]>} */
+  const queues = new Map();
+  for (const response of recording.responses) {
+    const queue = queues.get(response.request) ?? [];
+    queue.push(response);
+    queues.set(response.request, queue);
+  }
+  session = {
+    mode: "replay",
+    path,
+    recording,
+    queues,
+    startedAt: Date.now(),
+    skipped: 0,
+  };
+}
+
+/**
+ * End the session, and write the recording if there is one.
+ *
+ * @param {import('./report.js').RepositoryOutcome} outcome - how the run ended, kept with the recording
+ */
+export function endSession(outcome) {
+  const current = session;
+  session = undefined;
+  if (current?.mode !== "record") {
+    return;
+  }
+  mkdirSync(dirname(current.path), { recursive: true });
+  writeFileSync(
+    current.path,
+    JSON.stringify({ ...current.recording, outcome }, null, 2) + "\n",
+  );
+  mkdirSync(dirname(current.lookup.path), { recursive: true });
+  writeFileSync(
+    current.lookup.path,
+    JSON.stringify(current.lookup.response, null, 2) + "\n",
+  );
+}
+
+/**
+ * Octoherd options for `--replay`, so that Octoherd looks up the repositories
+ * in the recordings rather than on GitHub, and doesn't ask for a token it
+ * won't use. Options given on the command line are left alone.
+ *
+ * @param {string[]} args - command line arguments
+ * @returns {string[]} arguments to add
+ */
+export function replayArguments(args) {
+  const index = args.findIndex(
+    (arg) => arg === "--replay" || arg.startsWith("--replay="),
+  );
+  const dir =
+    args[index] === "--replay"
+      ? args[index + 1]
+      : args[index]?.slice("--replay=".length);
+  if (!dir) {
+    return [];
+  }
+
+  /**
+   * @param {string[]} names
+   */
+  const given = (names) =>
+    args.some((arg) =>
+      names.some((name) => arg === name || arg.startsWith(`${name}=`)),
+    );
+  return [
+    ...(given(["--octoherd-cache", "--octoherdCache"])
+      ? []
+      : ["--octoherd-cache", lookupDir(dir)]),
+    ...(given(["-T", "--octoherd-token", "--octoherdToken"])
+      ? []
+      : ["--octoherd-token", "replay"]),
+  ];
+}
+
+/**
+ * Milliseconds since the epoch, as the decisions that depend on the time
+ * should see it: when replaying, time runs on from when the recording was
+ * made, plus whatever was slept.
+ */
+export function currentTime() {
+  if (session?.mode !== "replay") {
+    return Date.now();
+  }
+  return (
+    Date.parse(session.recording.recordedAt) +
+    (Date.now() - session.startedAt) +
+    session.skipped
+  );
+}
+
+/**
+ * When replaying, move the clock ahead instead of sleeping, as the responses
+ * are there already.
+ *
+ * @param {number} milliseconds
+ * @returns {boolean} whether the clock was moved, and there is no need to sleep
+ */
+export function skipTime(milliseconds) {
+  if (session?.mode !== "replay") {
+    return false;
+  }
+  session.skipped += Math.max(0, milliseconds);
+  return true;
+}
@@ -0,0 +1,117 @@
+// @ts-check
+
+// Renovate renders this checkbox in the body of every PR it opens. Ticking it
+// asks Renovate to rebase the branch on its next run.
+export const renovateRebaseCheckbox = "- [ ] <!-- rebase-check -->";
+export const renovateRebaseCheckboxTicked = "- [x] <!-- rebase-check -->";
+
+const rebaseCommand = "@renovate rebase";
+
+// Logins such as `renovate[bot]` and `renovate-bot`, and the default commit
+// author name, `Renovate Bot`.
+const renovateIdentity = /^renovate\b/i;
+
+/**
+ * @param {any} pr - PR as returned by the REST API
+ */
+export function isRenovatePullRequest(pr) {
+  return (
+    (pr.body ?? "").includes("<!-- rebase-check -->") ||
+    renovateIdentity.test(pr.user?.login ?? "")
+  );
+}
+
+/**
+ * Commits on the PR branch that Renovate didn't make, such as fixes we
+ * committed. A Renovate rebase would throw them away.
+ *
+ * Self-hosted Renovate may open PRs as one account and commit as another,
+ * with an author that isn't linked to any account, so its commits are told
+ * apart by the known Renovate identities, the PR author, and the author of
+ * the first commit, which Renovate always makes when it creates the branch.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {any} pr - PR as returned by the REST API
+ * @returns {Promise<{ sha: string, author: string }[]>}
+ */
+export async function listForeignCommits(octokit, baseParams, pr) {
+  const commits = await octokit.paginate(
+    "GET /repos/{owner}/{repo}/pulls/{pull_number}/commits",
+    { ...baseParams, pull_number: pr.number, per_page: 100 },
+  );
+  const firstEmail = commits[0]?.commit.author?.email;
+  /**
+   * @param {any} commit - as returned by the REST API
+   */
+  const isRenovateCommit = (commit) => {
+    const login = commit.author?.login;
+    const { name = "", email } = commit.commit.author ?? {};
+    return (
+      (login !== undefined &&
+        (login === pr.user?.login || renovateIdentity.test(login))) ||
+      renovateIdentity.test(name) ||
+      (!!email && email === firstEmail)
+    );
+  };
+  return commits
+    .filter((commit) => !isRenovateCommit(commit))
+    .map((commit) => ({
+      sha: commit.sha,
+      author: commit.author?.login ?? commit.commit.author?.name ?? "unknown",
+    }));
+}
+
+/**
+ * Ask Renovate to rebase (and so recreate) its branch, by ticking the rebase
+ * checkbox in the PR body or by commenting `@renovate rebase`. The checkbox
+ * falls back to a comment when the body doesn't have one.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {object} options.baseParams - { owner, repo }
+ * @param {any} options.pr - PR as returned by the REST API
+ * @param {"checkbox" | "comment"} options.method
+ * @param {string} [options.since] - ISO date of the head commit. A rebase comment after it is still pending.
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} options.plan
+ * @returns {Promise<"requested" | "already-requested">}
+ */
+export async function requestRenovateRebase(
+  octokit,
+  { baseParams, pr, method, since, plan },
+) {
+  const body = pr.body ?? "";
+  if (body.includes(renovateRebaseCheckboxTicked)) {
+    return "already-requested";
+  }
+
+  if (method === "checkbox" && body.includes(renovateRebaseCheckbox)) {
+    await plan.request(
+      "PATCH /repos/{owner}/{repo}/pulls/{pull_number}",
+      {
+        ...baseParams,
+        pull_number: pr.number,
+        body: body.replace(
+          renovateRebaseCheckbox,
+          renovateRebaseCheckboxTicked,
+        ),
+      },
+      `tick the Renovate rebase checkbox on #${pr.number}`,
+    );
+    return "requested";
+  }
+
+  const comments = await octokit.paginate(
+    "GET /repos/{owner}/{repo}/issues/{issue_number}/comments",
+    { ...baseParams, issue_number: pr.number, since, per_page: 100 },
+  );
+  if (comments.some((comment) => comment.body?.trim() === rebaseCommand)) {
+    return "already-requested";
+  }
+  await plan.request(
+    "POST /repos/{owner}/{repo}/issues/{issue_number}/comments",
+    { ...baseParams, issue_number: pr.number, body: rebaseCommand },
+    `comment "${rebaseCommand}" on #${pr.number}`,
+  );
+  return "requested";
+}
@@ -0,0 +1,155 @@
+// @ts-check
+
+import { mkdirSync, writeFileSync } from "fs";
+import { dirname, extname } from "path";
+
+/**
+ * What the script did, or decided not to do, for one repository.
+ *
+ * @typedef {"skipped-archived" | "no-touch" | "skipped-by-config" | "outside-maintenance-window" | "already-merged" | "draft" | "no-permission" | "updating-branch" | "checks-pending" | "checks-failing" | "not-mergeable" | "rebase-requested" | "awaiting-approval" | "waiting-for-canaries" | "auto-merge-enabled" | "merge-queued" | "merge-queue-ejected" | "merged" | "verifying" | "verified" | "verify-failing" | "canary-failing" | "ready" | "no-pr" | "dashboard-requested" | "dashboard-blocked" | "workflow-running" | "workflow-dispatched" | "workflow-finished" | "rerun-triggered" | "throttled" | "undone" | "error"} Outcome
+ */
+
+/**
+ * @typedef {object} RepositoryOutcome
+ * @property {string} repository - full name
+ * @property {Outcome} outcome
+ * @property {string} reason - human readable detail
+ * @property {string} [pr] - URL of the PR (or issue) the outcome is about, if any
+ * @property {string[]} [closed] - URLs of PRs closed as superseded or duplicates
+ * @property {string} [config] - settings from the repository's `.github/octoherd-driver.yml`
+ * @property {boolean} dryRun - whether nothing was actually changed
+ */
+
+// Octoherd calls `script()` once per repository and has no hook for the end
+// of a run, so outcomes are collected here and the report is rewritten after
+// every repository.
+/** @type {Map<string, RepositoryOutcome>} */
+const outcomes = new Map();
+
+/**
+ * @param {RepositoryOutcome} outcome
+ */
+export function recordOutcome(outcome) {
+  outcomes.set(outcome.repository, { ...outcome });
+}
+
+/**
+ * @param {RepositoryOutcome[]} rows
+ */
+function countOutcomes(rows) {
+  /** @type {Record<string, number>} */
+  const counts = {};
+  for (const { outcome } of rows) {
+    counts[outcome] = (counts[outcome] ?? 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * @param {string} value
+ */
+function escapeMarkdown(value) {
+  return value.replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+/**
+ * @param {string} value
+ */
+function escapeCsv(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/** @type {Record<string, (rows: RepositoryOutcome[]) => string>} */
+const formatters = {
+  json(rows) {
+    return (
+      JSON.stringify(
+        {
+          generatedAt: new Date().toISOString(),
+          counts: countOutcomes(rows),
+          repositories: rows,
+        },
+        null,
+        2,
+      ) + "\n"
+    );
+  },
+
+  markdown(rows) {
+    const lines = [
+      "| Repository | Outcome | PR | Reason | Closed | Repository config |",
+      "| --- | --- | --- | --- | --- | --- |",
+      ...rows.map(
+        ({ repository, outcome, pr, reason, closed, config, dryRun }) =>
+          `| ${repository} | ${outcome}${dryRun ? " (dry run)" : ""} | ${pr ?? ""} | ${escapeMarkdown(reason)} | ${(closed ?? []).join(" ")} | ${escapeMarkdown(config ?? "")} |`,
+      ),
+      "",
+      "| Outcome | Count |",
+      "| --- | --- |",
+      ...Object.entries(countOutcomes(rows)).map(
+        ([outcome, count]) => `| ${outcome} | ${count} |`,
+      ),
+    ];
+    return lines.join("\n") + "\n";
+  },
+
+  csv(rows) {
+    const lines = [
+      "repository,outcome,pr,reason,closed,config,dry_run",
+      ...rows.map(
+        ({ repository, outcome, pr, reason, closed, config, dryRun }) =>
+          [
+            repository,
+            outcome,
+            pr ?? "",
+            reason,
+            (closed ?? []).join(" "),
+            config ?? "",
+            String(dryRun),
+          ]
+            .map(escapeCsv)
+            .join(","),
+      ),
+    ];
+    return lines.join("\n") + "\n";
+  },
+};
+
+const formatsByExtension = {
+  ".json": "json",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".csv": "csv",
+};
+
+/**
+ * @param {string} path
+ * @param {string} [format] - `json`, `markdown` or `csv`. Defaults to the one matching the file extension, else `json`.
+ * @returns {string}
+ */
+export function resolveReportFormat(path, format) {
+  const resolvedFormat =
+    format ?? formatsByExtension[extname(path).toLowerCase()] ?? "json";
+  if (!formatters[resolvedFormat]) {
+    throw new Error(
+      `Unknown report format "${resolvedFormat}", use one of: ${Object.keys(formatters).join(", ")}`,
+    );
+  }
+  return resolvedFormat;
+}
+
+/**
+ * Write every outcome recorded so far to `path`.
+ *
+ * @param {string} path
+ * @param {string} [format] - see `resolveReportFormat()`
+ */
+export function writeReport(path, format) {
+  const formatter = formatters[resolveReportFormat(path, format)];
+
+  const rows = [...outcomes.values()].sort((a, b) =>
+    a.repository.localeCompare(b.repository),
+  );
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, formatter(rows));
+}
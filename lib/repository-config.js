@@ -0,0 +1,283 @@
+// @ts-check
+
+import { parse } from "yaml";
+
+import { mergeMethods } from "./merging.js";
+
+export const repositoryConfigPath = ".github/octoherd-driver.yml";
+
+const weekdays = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * @typedef {object} AllowDeny
+ * @property {string[]} [allow] - only these
+ * @property {string[]} [deny] - anything but these
+ */
+
+/**
+ * @typedef {object} MaintenanceWindow
+ * @property {string[]} [days] - `mon` … `sun`. Defaults to every day.
+ * @property {string} [hours] - `HH:MM-HH:MM`, may wrap past midnight. The same start and end is a whole day. Defaults to all day.
+ * @property {string} [timezone] - IANA time zone. Defaults to UTC.
+ */
+
+/**
+ * What a repository says about being driven, in `.github/octoherd-driver.yml`
+ * on its default branch.
+ *
+ * @typedef {object} RepositoryConfig
+ * @property {AllowDeny} [libraries] - by `--library`
+ * @property {AllowDeny} [profiles] - by profile name
+ * @property {boolean} [merge] - `false` to never merge, like `--no-merge`
+ * @property {boolean} [autoMerge] - `false` to merge only when ready, never through GitHub's auto-merge
+ * @property {boolean} [approve] - `false` to never approve
+ * @property {"squash" | "merge" | "rebase"} [mergeMethod]
+ * @property {Record<string, boolean>} [fixers] - fixer name to on or off. On is the default, and still only for the PRs the fixer applies to
+ * @property {MaintenanceWindow} [maintenanceWindow] - only make changes inside it
+ */
+
+/**
+ * @param {unknown} value
+ */
+function isStringList(value) {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === "string")
+  );
+}
+
+/**
+ * @param {unknown} value
+ */
+function isMapping(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {string} time - `H:MM` or `HH:MM`
+ */
+function isTime(time) {
+  const match = time.match(/^(\d{1,2}):(\d{2})$/);
+  return !!match && Number(match[1]) <= 23 && Number(match[2]) <= 59;
+}
+
+/**
+ * @param {any} config
+ * @returns {string[]} what is wrong with it
+ */
+function validate(config) {
+  const problems = [];
+  const known = [
+    "libraries",
+    "profiles",
+    "merge",
+    "autoMerge",
+    "approve",
+    "mergeMethod",
+    "fixers",
+    "maintenanceWindow",
+  ];
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) {
+      problems.push(`unknown setting "${key}"`);
+    }
+  }
+  for (const key of ["libraries", "profiles"]) {
+    for (const list of ["allow", "deny"]) {
+      const value = config[key]?.[list];
+      if (value !== undefined && !isStringList(value)) {
+        problems.push(`${key}.${list} must be a list of names`);
+      }
+    }
+  }
+  for (const key of ["merge", "autoMerge", "approve"]) {
+    if (config[key] !== undefined && typeof config[key] !== "boolean") {
+      problems.push(`${key} must be true or false`);
+    }
+  }
+  if (
+    config.mergeMethod !== undefined &&
+    !mergeMethods.includes(config.mergeMethod)
+  ) {
+    problems.push(`mergeMethod must be one of ${mergeMethods.join(", ")}`);
+  }
+  for (const [name, enabled] of Object.entries(config.fixers ?? {})) {
+    if (typeof enabled !== "boolean") {
+      problems.push(`fixers.${name} must be true or false`);
+    }
+  }
+  const window = config.maintenanceWindow;
+  if (window !== undefined && !isMapping(window)) {
+    problems.push(
+      "maintenanceWindow must be a mapping of days, hours and timezone",
+    );
+  } else if (window !== undefined) {
+    for (const key of Object.keys(window)) {
+      if (!["days", "hours", "timezone"].includes(key)) {
+        problems.push(`unknown setting "maintenanceWindow.${key}"`);
+      }
+    }
+    if (
+      window.days !== undefined &&
+      !(
+        isStringList(window.days) &&
+        window.days.every((/** @type {string} */ day) =>
+          weekdays.includes(day.toLowerCase().slice(0, 3)),
+        )
+      )
+    ) {
+      problems.push("maintenanceWindow.days must be a list of weekdays");
+    }
+    if (
+      window.hours !== undefined &&
+      !(
+        typeof window.hours === "string" &&
+        window.hours.split("-").length === 2 &&
+        window.hours.split("-").every(isTime)
+      )
+    ) {
+      problems.push(
+        'maintenanceWindow.hours must look like "09:00-17:00", from 00:00 to 23:59',
+      );
+    }
+    if (window.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: window.timezone });
+      } catch {
+        problems.push(
+          `unknown maintenanceWindow.timezone "${window.timezone}"`,
+        );
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Read the repository's driver configuration from its default branch.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} ref - default branch
+ * @returns {Promise<RepositoryConfig>} empty when there is no file
+ */
+export async function loadRepositoryConfig(octokit, baseParams, ref) {
+  let content;
+  try {
+    const { data } = await octokit.request(
+      "GET /repos/{owner}/{repo}/contents/{path}",
+      { ...baseParams, path: repositoryConfigPath, ref },
+    );
+    content = Buffer.from(data.content, "base64").toString("utf-8");
+  } catch (error) {
+    if (error.status === 404) {
+      return {};
+    }
+    throw error;
+  }
+
+  const config = parse(content) ?? {};
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${repositoryConfigPath} must be a mapping of settings`);
+  }
+  const problems = validate(config);
+  if (problems.length > 0) {
+    throw new Error(`${repositoryConfigPath}: ${problems.join("; ")}`);
+  }
+  return config;
+}
+
+/**
+ * Is `name` allowed by an allow/deny list?
+ *
+ * @param {AllowDeny | undefined} list
+ * @param {string} name
+ */
+export function isAllowed(list, name) {
+  if (list?.allow && !list.allow.includes(name)) {
+    return false;
+  }
+  return !list?.deny?.includes(name);
+}
+
+/**
+ * @param {string} time - `HH:MM`
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Is `now` inside the window? The days are the days the window starts on, so
+ * the hours after midnight of a window that wraps past it belong to the day
+ * before. A window that ends when it starts lasts a whole day.
+ *
+ * @param {MaintenanceWindow} window
+ * @param {Date} [now]
+ */
+export function isInMaintenanceWindow(window, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: window.timezone ?? "UTC",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map(({ type, value }) => [type, value]),
+  );
+
+  let weekday = weekdays.indexOf(parts.weekday.toLowerCase());
+  if (window.hours) {
+    const [start, end] = window.hours.split("-").map(toMinutes);
+    const minutes = toMinutes(`${parts.hour}:${parts.minute}`);
+    if (start < end) {
+      if (minutes < start || minutes >= end) {
+        return false;
+      }
+    } else if (minutes < end) {
+      weekday = (weekday + 6) % 7;
+    } else if (minutes < start) {
+      return false;
+    }
+  }
+  return (
+    !window.days ||
+    window.days
+      .map((day) => day.toLowerCase().slice(0, 3))
+      .includes(weekdays[weekday])
+  );
+}
+
+/**
+ * The settings in effect, for the run summary, e.g.
+ * `mergeMethod=rebase, approve=false, fixers.workflow-pnpm-version=false`.
+ *
+ * @param {RepositoryConfig} config
+ */
+export function describeRepositoryConfig(config) {
+  /** @type {string[]} */
+  const settings = [];
+  for (const [key, value] of Object.entries(config)) {
+    if (key === "fixers") {
+      for (const [name, enabled] of Object.entries(value)) {
+        settings.push(`fixers.${name}=${enabled}`);
+      }
+    } else if (key === "maintenanceWindow") {
+      const { days, hours, timezone } = /** @type {MaintenanceWindow} */ (
+        value
+      );
+      settings.push(
+        `maintenanceWindow=${[days?.join(","), hours, timezone].filter(Boolean).join(" ") || "always"}`,
+      );
+    } else if (key === "libraries" || key === "profiles") {
+      for (const [list, names] of Object.entries(value)) {
+        settings.push(`${key}.${list}=${names.join(",")}`);
+      }
+    } else {
+      settings.push(`${key}=${value}`);
+    }
+  }
+  return settings.join(", ");
+}
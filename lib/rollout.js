@@ -0,0 +1,160 @@
+// @ts-check
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { dirname, resolve } from "path";
+
+/**
+ * Outcomes that spend the failure budget.
+ *
+ * @type {import('./report.js').Outcome[]}
+ */
+export const failingOutcomes = [
+  "checks-failing",
+  "canary-failing",
+  "verify-failing",
+];
+
+/**
+ * Where a canary repository is at. Only `green` lets the other repositories
+ * be merged.
+ *
+ * @typedef {object} CanaryState
+ * @property {"green" | "merged" | "failing" | "open"} state - `merged` while the default branch checks are pending
+ * @property {string} [pr]
+ * @property {string} reason
+ * @property {string} updatedAt
+ */
+
+/**
+ * Everything the state file keeps per rollout, i.e. per profile, library
+ * and major version being driven.
+ *
+ * @typedef {object} RolloutState
+ * @property {Record<string, CanaryState>} canaries - by repository full name
+ */
+
+/**
+ * Octoherd calls `script()` once per repository and each run is a new
+ * process, so rollouts are kept here for the failure budget, which lasts a
+ * run, and canary progress goes to the state file, which outlives it.
+ *
+ * @type {Map<string, ReturnType<typeof createRollout>>}
+ */
+const rollouts = new Map();
+
+/**
+ * @param {string} path
+ * @returns {{ rollouts: Record<string, RolloutState> }}
+ */
+function readStateFile(path) {
+  if (!existsSync(path)) {
+    return { rollouts: {} };
+  }
+  const state = JSON.parse(readFileSync(path, "utf-8"));
+  return { ...state, rollouts: state.rollouts ?? {} };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.statePath
+ * @param {string} options.key - what is being rolled out
+ * @param {string[]} options.canaries - repository full names
+ * @param {number} [options.failureBudget]
+ * @param {boolean} [options.readOnly] - never write the state file, e.g. when replaying
+ */
+function createRollout({
+  statePath,
+  key,
+  canaries,
+  failureBudget,
+  readOnly = false,
+}) {
+  const path = resolve(process.cwd(), statePath);
+  const canaryNames = canaries.map((name) => name.toLowerCase());
+  /** @type {{ repository: string, reason: string }[]} */
+  const failures = [];
+
+  const load = () => {
+    const file = readStateFile(path);
+    return { file, state: file.rollouts[key] ?? { canaries: {} } };
+  };
+
+  return {
+    failures,
+
+    /**
+     * @param {string} repoFullName
+     */
+    isCanary(repoFullName) {
+      return canaryNames.includes(repoFullName.toLowerCase());
+    },
+
+    /**
+     * Canaries that are not merged and green yet, with where they are at.
+     *
+     * @returns {string[]}
+     */
+    pendingCanaries() {
+      const { state } = load();
+      return canaries
+        .filter((name) => state.canaries[name]?.state !== "green")
+        .map((name) => `${name} (${state.canaries[name]?.state ?? "not run"})`);
+    },
+
+    /**
+     * Save where a canary is at. The file is read again first, in case
+     * another run wrote to it.
+     *
+     * @param {string} repoFullName
+     * @param {Omit<CanaryState, "updatedAt">} canary
+     */
+    recordCanary(repoFullName, canary) {
+      if (readOnly) {
+        return;
+      }
+      const { file, state } = load();
+      const name =
+        canaries.find(
+          (canaryName) =>
+            canaryName.toLowerCase() === repoFullName.toLowerCase(),
+        ) ?? repoFullName;
+      state.canaries[name] = {
+        ...canary,
+        updatedAt: new Date().toISOString(),
+      };
+      file.rollouts[key] = state;
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, JSON.stringify(file, null, 2) + "\n");
+    },
+
+    /**
+     * @param {string} repository
+     * @param {string} reason
+     */
+    recordFailure(repository, reason) {
+      failures.push({ repository, reason });
+    },
+
+    /**
+     * Whether the rest of the run should only report.
+     */
+    budgetSpent() {
+      return failureBudget !== undefined && failures.length >= failureBudget;
+    },
+  };
+}
+
+/**
+ * The rollout for this run, the same one for every repository.
+ *
+ * @param {Parameters<typeof createRollout>[0]} options
+ */
+export function getRollout(options) {
+  const cacheKey = JSON.stringify(options);
+  let rollout = rollouts.get(cacheKey);
+  if (!rollout) {
+    rollout = createRollout(options);
+    rollouts.set(cacheKey, rollout);
+  }
+  return rollout;
+}
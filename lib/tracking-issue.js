@@ -0,0 +1,136 @@
+// @ts-check
+
+// Hidden markers around the checklist, so that the rest of the issue body is
+// left alone, and in front of each line, so that a repository's line is
+// replaced instead of added again.
+const checklistStart = "<!-- octoherd-renovate-driver:tracking -->";
+const checklistEnd = "<!-- /octoherd-renovate-driver:tracking -->";
+const lineMarker = /<!-- repository=(\S+) -->/;
+
+// Outcomes of a merged PR, including the checks that follow the merge.
+/** @type {import('./report.js').Outcome[]} */
+const doneOutcomes = [
+  "merged",
+  "already-merged",
+  "verifying",
+  "verified",
+  "verify-failing",
+  "canary-failing",
+];
+
+/**
+ * @typedef {object} TrackingIssue
+ * @property {string} owner
+ * @property {string} repo
+ * @property {number} issue_number
+ */
+
+/**
+ * Parse `--trackingIssue`, e.g. `time-loop/upgrades#12`.
+ *
+ * @param {string} value
+ * @returns {TrackingIssue}
+ */
+export function parseTrackingIssue(value) {
+  const match = String(value)
+    .trim()
+    .match(/^([\w.-]+)\/([\w.-]+)#(\d+)$/);
+  if (!match) {
+    throw new Error(
+      `--trackingIssue "${value}" is not an issue, use owner/repo#number`,
+    );
+  }
+  return { owner: match[1], repo: match[2], issue_number: Number(match[3]) };
+}
+
+/**
+ * One checklist line, ticked once the PR is merged.
+ *
+ * @param {import('./report.js').RepositoryOutcome} outcome
+ * @param {Date} now
+ */
+function formatLine({ repository, outcome, pr, reason }, now) {
+  const checked = doneOutcomes.includes(outcome) ? "x" : " ";
+  const updatedAt = now.toISOString().replace(/:\d{2}\.\d{3}Z$/, "Z");
+  return [
+    `- [${checked}] <!-- repository=${repository} -->**${repository}**`,
+    pr ? pr : "no PR",
+    `\`${outcome}\`: ${reason.replace(/\n/g, " ")}`,
+    `updated ${updatedAt}`,
+  ].join(" · ");
+}
+
+/**
+ * Put the repository's line into the checklist in `body`, replacing its
+ * earlier line if there is one. Lines are kept sorted by repository.
+ *
+ * @param {string} body - current issue body
+ * @param {string} repository - full name
+ * @param {string} line
+ */
+export function updateChecklist(body, repository, line) {
+  const start = body.indexOf(checklistStart);
+  const end = body.indexOf(checklistEnd, start);
+  const hasChecklist = start !== -1 && end !== -1;
+
+  /** @type {Map<string, string>} */
+  const lines = new Map();
+  if (hasChecklist) {
+    for (const existing of body
+      .slice(start + checklistStart.length, end)
+      .split(/\r?\n/)) {
+      const name = existing.match(lineMarker)?.[1];
+      if (name) {
+        lines.set(name, existing);
+      }
+    }
+  }
+  lines.set(repository, line);
+
+  const checklist = [
+    checklistStart,
+    ...[...lines.keys()].sort().map((name) => lines.get(name)),
+    checklistEnd,
+  ].join("\n");
+
+  if (!hasChecklist) {
+    return body.trim() ? `${body.trimEnd()}\n\n${checklist}\n` : checklist;
+  }
+  return (
+    body.slice(0, start) + checklist + body.slice(end + checklistEnd.length)
+  );
+}
+
+/**
+ * Update the repository's line in the tracking issue's checklist.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {TrackingIssue} options.issue
+ * @param {import('./report.js').RepositoryOutcome} options.outcome
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} options.plan
+ * @param {Date} [options.now]
+ */
+export async function updateTrackingIssue(
+  octokit,
+  { issue, outcome, plan, now = new Date() },
+) {
+  const { data } = await octokit.request(
+    "GET /repos/{owner}/{repo}/issues/{issue_number}",
+    issue,
+  );
+  const body = data.body ?? "";
+  const updated = updateChecklist(
+    body,
+    outcome.repository,
+    formatLine(outcome, now),
+  );
+  if (updated === body) {
+    return;
+  }
+  await plan.request(
+    "PATCH /repos/{owner}/{repo}/issues/{issue_number}",
+    { ...issue, body: updated },
+    `update ${outcome.repository} on the tracking issue ${issue.owner}/${issue.repo}#${issue.issue_number}`,
+  );
+}
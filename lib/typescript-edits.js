@@ -0,0 +1,259 @@
+// @ts-check
+
+import ts from "typescript";
+
+/**
+ * @typedef {{ start: number, end: number, text?: string }} TextEdit
+ */
+
+/**
+ * @param {string} content
+ * @param {string} fileName - decides between `.ts` and `.tsx` parsing
+ */
+export function parseTypeScript(content, fileName) {
+  return ts.createSourceFile(
+    fileName,
+    content,
+    ts.ScriptTarget.Latest,
+    true,
+    fileName.endsWith(".tsx") ? ts.ScriptKind.TSX : ts.ScriptKind.TS,
+  );
+}
+
+/**
+ * Syntax errors in `content`, as `line:column message`. Types aren't
+ * checked, that would need the project's dependencies.
+ *
+ * @param {string} content
+ * @param {string} fileName
+ * @returns {string[]}
+ */
+export function getSyntaxErrors(content, fileName) {
+  const { diagnostics = [] } = ts.transpileModule(content, {
+    fileName,
+    reportDiagnostics: true,
+  });
+  return diagnostics.map((diagnostic) => {
+    const message = ts.flattenDiagnosticMessageText(
+      diagnostic.messageText,
+      "\n",
+    );
+    if (diagnostic.file && diagnostic.start !== undefined) {
+      const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(
+        diagnostic.start,
+      );
+      return `${line + 1}:${character + 1} ${message}`;
+    }
+    return message;
+  });
+}
+
+/**
+ * Apply edits to `content`. Edits must not overlap.
+ *
+ * @param {string} content
+ * @param {TextEdit[]} edits
+ */
+export function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, { start, end, text = "" }) =>
+        result.slice(0, start) + text + result.slice(end),
+      content,
+    );
+}
+
+/**
+ * Name of an object property or import specifier, if it has a plain one.
+ *
+ * @param {ts.Node} node
+ * @returns {string | undefined}
+ */
+export function getPropertyName(node) {
+  if (
+    (ts.isPropertyAssignment(node) || ts.isShorthandPropertyAssignment(node)) &&
+    (ts.isIdentifier(node.name) || ts.isStringLiteralLike(node.name))
+  ) {
+    return node.name.text;
+  }
+}
+
+/**
+ * Edits that remove some elements of a comma separated list, such as the
+ * properties of an object literal or the specifiers of a named import, along
+ * with their comma and the comments on their own lines. Comments trailing the
+ * previous element on its line stay.
+ *
+ * @param {ts.SourceFile} sourceFile
+ * @param {ts.NodeArray<ts.Node>} elements
+ * @param {ts.Node[]} remove
+ * @returns {TextEdit[]}
+ */
+export function removeListElements(sourceFile, elements, remove) {
+  const text = sourceFile.text;
+  const indexes = remove
+    .map((node) => elements.indexOf(node))
+    .filter((index) => index !== -1)
+    .sort((a, b) => a - b);
+
+  // Neighbouring elements are removed together, so that the edits don't
+  // fight over the commas between them.
+  /** @type {[number, number][]} */
+  const runs = [];
+  for (const index of indexes) {
+    const run = runs.at(-1);
+    if (run && run[1] === index - 1) {
+      run[1] = index;
+    } else {
+      runs.push([index, index]);
+    }
+  }
+
+  return runs.map(([first, last]) => {
+    if (first === 0 && last === elements.length - 1) {
+      // Nothing left: `{\n  a,\n}` becomes `{}`.
+      const end =
+        elements.end +
+        (text.slice(elements.end).match(/^\s*/)?.[0].length ?? 0);
+      return { start: elements.pos, end };
+    }
+
+    let start = elements[first].getFullStart();
+    // Leave the previous element's trailing comment alone.
+    const leading = text.slice(start, elements[first].getStart(sourceFile));
+    const newline = leading.indexOf("\n");
+    if (newline !== -1) {
+      start += newline;
+      if (text[start - 1] === "\r") {
+        start--;
+      }
+    }
+
+    let end = elements[last].getEnd();
+    const comma = text.slice(end).match(/^\s*,/);
+    if (comma) {
+      end += comma[0].length;
+    } else if (newline === -1) {
+      // Last elements on a single line: `{ a, b }` becomes `{ a }`.
+      start = elements[first - 1].getEnd();
+    }
+    for (const comment of ts.getTrailingCommentRanges(text, end) ?? []) {
+      end = comment.end;
+    }
+    return { start, end };
+  });
+}
+
+/**
+ * Identifiers the file uses, other than in import declarations.
+ *
+ * @param {ts.SourceFile} sourceFile
+ * @returns {Set<string>}
+ */
+function getUsedIdentifiers(sourceFile) {
+  const used = new Set();
+  /**
+   * @param {ts.Node} node
+   */
+  const visit = (node) => {
+    if (ts.isImportDeclaration(node)) {
+      return;
+    }
+    if (ts.isIdentifier(node)) {
+      used.add(node.text);
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return used;
+}
+
+/**
+ * Edits that remove the imports of `names` from a declaration, or the whole
+ * declaration when it imports nothing else.
+ *
+ * @param {ts.SourceFile} sourceFile
+ * @param {ts.ImportDeclaration} declaration
+ * @param {Set<string>} names - local names to remove
+ * @returns {TextEdit[]}
+ */
+function removeImports(sourceFile, declaration, names) {
+  const clause = declaration.importClause;
+  if (!clause) {
+    return [];
+  }
+  const bindings = clause.namedBindings;
+  const named =
+    bindings && ts.isNamedImports(bindings) ? [...bindings.elements] : [];
+  const local = [
+    ...(clause.name ? [clause.name.text] : []),
+    ...(bindings && ts.isNamespaceImport(bindings) ? [bindings.name.text] : []),
+    ...named.map((element) => element.name.text),
+  ];
+
+  if (local.every((name) => names.has(name))) {
+    const text = sourceFile.text;
+    const start = text.lastIndexOf("\n", declaration.getStart(sourceFile)) + 1;
+    const rest = text
+      .slice(declaration.getEnd())
+      .match(/^[^\S\n]*(?:\/\/.*)?\n?/);
+    return [{ start, end: declaration.getEnd() + (rest?.[0].length ?? 0) }];
+  }
+
+  // A default or namespace import next to named ones is rare, and not worth
+  // the punctuation juggling. Only named imports are removed on their own.
+  const removed = named.filter((element) => names.has(element.name.text));
+  if (removed.length === 0 || !bindings || !ts.isNamedImports(bindings)) {
+    return [];
+  }
+  return removeListElements(sourceFile, bindings.elements, removed);
+}
+
+/**
+ * Remove imports that `before` used and `after` no longer does. Imports that
+ * were already unused are none of our business.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function removeNewlyUnusedImports(before, after, fileName) {
+  const usedBefore = getUsedIdentifiers(parseTypeScript(before, fileName));
+  const sourceFile = parseTypeScript(after, fileName);
+  const usedAfter = getUsedIdentifiers(sourceFile);
+  const unused = new Set(
+    [...usedBefore].filter((name) => !usedAfter.has(name)),
+  );
+  if (unused.size === 0) {
+    return after;
+  }
+
+  const edits = sourceFile.statements
+    .filter(ts.isImportDeclaration)
+    .flatMap((declaration) => removeImports(sourceFile, declaration, unused));
+  return applyEdits(after, edits);
+}
+
+/**
+ * Every object literal in the file, outermost first.
+ *
+ * @param {ts.SourceFile} sourceFile
+ * @returns {ts.ObjectLiteralExpression[]}
+ */
+export function findObjectLiterals(sourceFile) {
+  /** @type {ts.ObjectLiteralExpression[]} */
+  const objects = [];
+  /**
+   * @param {ts.Node} node
+   */
+  const visit = (node) => {
+    if (ts.isObjectLiteralExpression(node)) {
+      objects.push(node);
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return objects;
+}
@@ -0,0 +1,136 @@
+// @ts-check
+
+import { failedConclusions } from "./diagnostics.js";
+
+/**
+ * @typedef {object} WorkflowVerification
+ * @property {string} workflow - file name under `.github/workflows`
+ * @property {"success" | "pending" | "failure" | "not-run"} state
+ * @property {string} [conclusion] - of the run, when it finished
+ * @property {string} [url] - of the run
+ */
+
+/**
+ * How the workflows ran on a merge commit. The latest run of each counts, so
+ * a successful re-run makes up for a failed run. Workflows the repository
+ * doesn't have are left out, and workflows that didn't run on the commit,
+ * e.g. because of path filters, are `not-run`.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} sha - merge commit
+ * @param {string[]} workflows - file names under `.github/workflows`
+ * @returns {Promise<WorkflowVerification[]>}
+ */
+export async function verifyMergeCommit(octokit, baseParams, sha, workflows) {
+  /** @type {WorkflowVerification[]} */
+  const results = [];
+  for (const workflow of workflows) {
+    let runs;
+    try {
+      ({
+        data: { workflow_runs: runs },
+      } = await octokit.request(
+        "GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs",
+        { ...baseParams, workflow_id: workflow, head_sha: sha, per_page: 1 },
+      ));
+    } catch (error) {
+      if (error.status === 404) {
+        continue;
+      }
+      throw error;
+    }
+
+    const [run] = runs;
+    if (!run) {
+      results.push({ workflow, state: "not-run" });
+    } else if (run.status !== "completed") {
+      results.push({ workflow, state: "pending", url: run.html_url });
+    } else {
+      results.push({
+        workflow,
+        state: failedConclusions.includes(run.conclusion)
+          ? "failure"
+          : "success",
+        conclusion: run.conclusion,
+        url: run.html_url,
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * E.g. `build.yml success, release.yml failure https://…`.
+ *
+ * @param {WorkflowVerification[]} results
+ */
+export function formatVerification(results) {
+  if (results.length === 0) {
+    return "none of the workflows to verify exist";
+  }
+  return results
+    .map(({ workflow, state, conclusion, url }) =>
+      [workflow, conclusion ?? state, state === "failure" ? url : undefined]
+        .filter(Boolean)
+        .join(" "),
+    )
+    .join(", ");
+}
+
+/**
+ * Open a PR that reverts a merged PR, unless there is one already.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {object} options.baseParams - { owner, repo }
+ * @param {any} options.pr - PR as returned by the REST API
+ * @param {string} options.reason - why, for the body of the revert PR
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} options.plan
+ * @returns {Promise<{ url?: string, existing: boolean }>} the revert PR, without URL in a dry run
+ */
+export async function openRevertPullRequest(
+  octokit,
+  { baseParams, pr, reason, plan },
+) {
+  const title = `Revert "${pr.title}"`;
+  // Reverts of a recently merged PR are among the most recent PRs.
+  const { data: recent } = await octokit.request(
+    "GET /repos/{owner}/{repo}/pulls",
+    {
+      ...baseParams,
+      state: "all",
+      base: pr.base.ref,
+      sort: "created",
+      direction: "desc",
+      per_page: 50,
+    },
+  );
+  const existing = recent.find(
+    (/** @type {any} */ candidate) => candidate.title === title,
+  );
+  if (existing) {
+    return { url: existing.html_url, existing: true };
+  }
+
+  const result = await plan.graphql(
+    `mutation revertPullRequest($pullRequestId: ID!, $title: String!, $body: String!) {
+      revertPullRequest(input: { pullRequestId: $pullRequestId, title: $title, body: $body }) {
+        revertPullRequest {
+          url
+        }
+      }
+    }`,
+    {
+      pullRequestId: pr.node_id,
+      title,
+      body: `Reverts ${pr.html_url}: ${reason}`,
+    },
+    `open a PR reverting #${pr.number}`,
+    pr.number,
+  );
+  return {
+    url: result?.revertPullRequest.revertPullRequest.url,
+    existing: false,
+  };
+}
@@ -0,0 +1,85 @@
+// @ts-check
+
+import { sleep } from "./polling.js";
+
+// GitHub takes a moment to create the run after accepting a dispatch.
+const findRunAttempts = 10;
+const findRunDelayMilliseconds = 3000;
+
+/**
+ * Does the workflow file on `ref` have a `workflow_dispatch` trigger?
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {string} path - e.g. `.github/workflows/renovate.yml`
+ * @param {string} ref
+ * @returns {Promise<boolean>}
+ */
+export async function supportsWorkflowDispatch(octokit, baseParams, path, ref) {
+  try {
+    const { data } = await octokit.request(
+      "GET /repos/{owner}/{repo}/contents/{path}",
+      { ...baseParams, path, ref },
+    );
+    const content = Buffer.from(data.content, "base64").toString("utf-8");
+    return content
+      .split("\n")
+      .some((line) => /^[^#]*\bworkflow_dispatch\b/.test(line));
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Dispatch a workflow on `ref` and find the run it created.
+ *
+ * The dispatch endpoint doesn't say which run it created, so we look for the
+ * newest `workflow_dispatch` run on `ref` created since GitHub accepted it.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} options
+ * @param {object} options.baseParams - { owner, repo }
+ * @param {number} options.workflowId
+ * @param {string} options.workflowName - for the plan
+ * @param {string} options.ref
+ * @param {ReturnType<typeof import('./plan.js').createPlan>} options.plan
+ * @returns {Promise<any>} the run, or `undefined` if it didn't show up (or in a dry run)
+ */
+export async function dispatchWorkflow(
+  octokit,
+  { baseParams, workflowId, workflowName, ref, plan },
+) {
+  const response = await plan.request(
+    "POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches",
+    { ...baseParams, workflow_id: workflowId, ref },
+    `dispatch ${workflowName} on ${ref}`,
+  );
+  if (!response) {
+    return;
+  }
+
+  // Use GitHub's clock rather than ours, with a little slack.
+  const dispatchedAt = new Date(
+    Date.parse(response.headers.date ?? new Date().toUTCString()) - 5000,
+  );
+  for (let attempt = 1; attempt <= findRunAttempts; attempt++) {
+    await sleep(findRunDelayMilliseconds);
+    const { data } = await octokit.request(
+      "GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs",
+      {
+        ...baseParams,
+        workflow_id: workflowId,
+        branch: ref,
+        event: "workflow_dispatch",
+        created: `>=${dispatchedAt.toISOString()}`,
+        per_page: 1,
+      },
+    );
+    if (data.workflow_runs.length > 0) {
+      return data.workflow_runs[0];
+    }
+  }
+}
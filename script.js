@@ -1,596 +1,1100 @@
 // @ts-check
 
+import { getApprover, getReviewState, toReviewState } from "./lib/approvals.js";
+import {
+  getBranchCheckState,
+  getRequiredChecks,
+  summarizeChecks,
+} from "./lib/checks.js";
+import { requestFromDependencyDashboard } from "./lib/dashboard.js";
+import {
+  collectDiagnostics,
+  formatDiagnosticsForLog,
+  postDiagnosticsComment,
+} from "./lib/diagnostics.js";
+import { closeStalePullRequest, findStalePullRequests } from "./lib/cleanup.js";
+import { applyFixers, loadFixers } from "./lib/fixers.js";
+import { readJournal, undoJournalEntries } from "./lib/journal.js";
+import { createPrMatcher, selectPullRequests } from "./lib/matching.js";
+import {
+  describeMergeQueueEntry,
+  getAllowedMergeMethods,
+  getMergeQueueEjection,
+  parseMergeMethod,
+} from "./lib/merging.js";
+import { createPlan } from "./lib/plan.js";
+import { waitForNextPoll } from "./lib/polling.js";
+import { loadProfiles, resolveProfile } from "./lib/profiles.js";
+import { findPullRequests } from "./lib/pulls.js";
+import { formatRateLimitUsage, meterRateLimit } from "./lib/rate-limit.js";
+import {
+  currentTime,
+  endSession,
+  readRecording,
+  startRecording,
+  startReplay,
+} from "./lib/recording.js";
+import {
+  describeRepositoryConfig,
+  isAllowed,
+  isInMaintenanceWindow,
+  loadRepositoryConfig,
+  repositoryConfigPath,
+} from "./lib/repository-config.js";
+import {
+  isRenovatePullRequest,
+  listForeignCommits,
+  renovateRebaseCheckbox,
+  renovateRebaseCheckboxTicked,
+  requestRenovateRebase,
+} from "./lib/renovate.js";
+import {
+  recordOutcome,
+  resolveReportFormat,
+  writeReport,
+} from "./lib/report.js";
+import { failingOutcomes, getRollout } from "./lib/rollout.js";
+import {
+  parseTrackingIssue,
+  updateTrackingIssue,
+} from "./lib/tracking-issue.js";
+import {
+  formatVerification,
+  openRevertPullRequest,
+  verifyMergeCommit,
+} from "./lib/verification.js";
+import { dispatchWorkflow, supportsWorkflowDispatch } from "./lib/workflows.js";
+
 const noTouchTopicName = "octoherd-no-touch";
 
+// With --wait, these outcomes are worth another look in a little while.
+// Everything else either is done or needs a human.
+/** @type {import('./lib/report.js').Outcome[]} */
+const waitableOutcomes = [
+  "updating-branch",
+  "checks-pending",
+  "auto-merge-enabled",
+  "merge-queued",
+  "rebase-requested",
+  "dashboard-requested",
+  "workflow-running",
+  "workflow-dispatched",
+  "rerun-triggered",
+  "verifying",
+];
+
 /**
- * Updates pnpm version from "9" to 9.15.7 in workflow files
+ * Is the PR behind its base branch?
+ *
+ * Uses `mergeStateStatus` when GitHub already knows the answer, and falls back
+ * to comparing the base branch against the PR head otherwise.
  *
  * @param {import('@octoherd/cli').Octokit} octokit
  * @param {object} baseParams - { owner, repo }
- * @param {string} prBranch - PR branch name
- * @param {string} repoFullName - Full repository name for logging
+ * @param {any} pr - PR as returned by the REST API
+ * @param {string} mergeStateStatus - from the status found with the PR
+ * @returns {Promise<boolean>}
  */
-async function updateWorkflowPnpmVersions(
-  octokit,
-  baseParams,
-  prBranch,
-  repoFullName,
-) {
-  const workflowFiles = [
-    ".github/workflows/build.yml",
-    ".github/workflows/release.yml",
-    ".github/workflows/update-projen-main.yml",
-  ];
-
-  const updatedFiles = [];
-
-  for (const workflowPath of workflowFiles) {
-    try {
-      // Try to fetch the workflow file from the PR branch
-      let fileResponse;
-      try {
-        fileResponse = await octokit.request(
-          "GET /repos/{owner}/{repo}/contents/{path}",
-          {
-            ...baseParams,
-            path: workflowPath,
-            ref: prBranch,
-          },
-        );
-      } catch (error) {
-        if (error.status === 404) {
-          octokit.log.info(
-            `${repoFullName}: ${workflowPath} not found in PR branch, skipping`,
-          );
-          continue;
-        }
-        throw error;
-      }
+async function isBehindBaseBranch(octokit, baseParams, pr, mergeStateStatus) {
+  if (mergeStateStatus === "BEHIND") {
+    return true;
+  }
+  if (mergeStateStatus === "DIRTY") {
+    // Conflicts can't be solved by bringing the branch up to date.
+    return false;
+  }
 
-      const content = Buffer.from(fileResponse.data.content, "base64").toString(
-        "utf-8",
-      );
-      const fileSha = fileResponse.data.sha;
+  const { data } = await octokit.request(
+    "GET /repos/{owner}/{repo}/compare/{basehead}",
+    {
+      ...baseParams,
+      basehead: `${pr.base.ref}...${pr.head.sha}`,
+      per_page: 1,
+    },
+  );
+  return data.behind_by > 0;
+}
 
-      // Check if the file contains the pattern we're looking for
-      // We need to ensure we're updating the version under pnpm/action-setup
-      const pnpmActionRegex =
-        /uses:\s*pnpm\/action-setup@v4[\s\S]*?with:\s*\n(\s+)version:\s*"9"/;
+/**
+ * Bring a PR up to date with its base branch.
+ *
+ * Renovate owns its branches and will force-push over anything we merge into
+ * them, so for Renovate PRs we tick the "rebase" checkbox and let Renovate do
+ * the work. Its rebase recreates the branch and would drop commits it didn't
+ * make, so branches with such commits, and everything else, go through the
+ * update-branch API.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {object} baseParams - { owner, repo }
+ * @param {any} pr - PR as returned by the REST API
+ * @param {ReturnType<typeof createPlan>} plan - where mutations are sent
+ */
+async function updatePullRequestBranch(octokit, baseParams, pr, plan) {
+  const body = pr.body ?? "";
 
-      if (!pnpmActionRegex.test(content)) {
-        // Pattern not found, skip this file
-        continue;
-      }
+  if (body.includes(renovateRebaseCheckboxTicked)) {
+    octokit.log.info(
+      "%s: behind base branch, rebase already requested from Renovate",
+      pr.html_url,
+    );
+    return;
+  }
 
-      // Replace quoted "9" with unquoted 10.22.0, preserving indentation
-      const updatedContent = content.replace(
-        /(\s+version:\s*)"9"/g,
-        "$110.22.0",
-      );
+  const foreignCommits = body.includes(renovateRebaseCheckbox)
+    ? await listForeignCommits(octokit, baseParams, pr)
+    : [];
+  if (body.includes(renovateRebaseCheckbox) && foreignCommits.length === 0) {
+    await plan.request(
+      "PATCH /repos/{owner}/{repo}/pulls/{pull_number}",
+      {
+        ...baseParams,
+        pull_number: pr.number,
+        body: body.replace(
+          renovateRebaseCheckbox,
+          renovateRebaseCheckboxTicked,
+        ),
+      },
+      `tick the Renovate rebase checkbox on #${pr.number}`,
+    );
+    octokit.log.info(
+      "%s: behind base branch, updating branch (requested Renovate rebase)",
+      pr.html_url,
+    );
+    return;
+  }
 
-      // Only commit if content actually changed
-      if (updatedContent !== content) {
-        await octokit.request("PUT /repos/{owner}/{repo}/contents/{path}", {
-          ...baseParams,
-          path: workflowPath,
-          message: "chore(projen): update pnpm version in workflows",
-          content: Buffer.from(updatedContent).toString("base64"),
-          sha: fileSha,
-          branch: prBranch,
-        });
+  await plan.request(
+    "PUT /repos/{owner}/{repo}/pulls/{pull_number}/update-branch",
+    {
+      ...baseParams,
+      pull_number: pr.number,
+      expected_head_sha: pr.head.sha,
+    },
+    `update the branch of #${pr.number} with its base branch`,
+  );
+  if (foreignCommits.length > 0) {
+    octokit.log.info(
+      "%s: behind base branch, updating branch (not asking Renovate to rebase, it would drop commits by %s)",
+      pr.html_url,
+      [...new Set(foreignCommits.map(({ author }) => author))].join(", "),
+    );
+    return;
+  }
+  octokit.log.info("%s: behind base branch, updating branch", pr.html_url);
+}
 
-        updatedFiles.push(workflowPath);
-        octokit.log.info(
-          `${repoFullName}: Updated pnpm version in ${workflowPath}`,
-        );
+/**
+ * Look at how the workflows to verify ran on the merge commit of a merged PR,
+ * and open a revert PR if the release workflow failed and `--revertOnFailure`
+ * asks for one.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {import('@octoherd/cli').Repository} repository
+ * @param {object} run - see `script()`
+ * @param {any} pr - PR as returned by the REST API
+ */
+async function verifyMerge(octokit, repository, run, pr) {
+  const {
+    verifyWorkflows,
+    releaseWorkflow,
+    revertOnFailure,
+    baseParams,
+    plan,
+    settle,
+  } = run;
+  const sha = pr.merge_commit_sha;
+  if (!sha) {
+    return;
+  }
+
+  const results = await verifyMergeCommit(
+    octokit,
+    baseParams,
+    sha,
+    verifyWorkflows,
+  );
+  const summary = `${sha.slice(0, 7)}: ${formatVerification(results)}`;
+
+  if (results.some(({ state }) => state === "failure")) {
+    octokit.log.warn(
+      "%s: workflows failed on merge commit %s",
+      pr.html_url,
+      summary,
+    );
+    let reason = `workflows failed on merge commit ${summary}`;
+    const release = results.find(
+      ({ workflow }) => workflow === releaseWorkflow,
+    );
+    if (revertOnFailure && release?.state === "failure") {
+      const revert = await openRevertPullRequest(octokit, {
+        baseParams,
+        pr,
+        reason: `${releaseWorkflow} failed on the merge commit: ${release.url}`,
+        plan,
+      });
+      if (revert.existing) {
+        reason += `, already reverted by ${revert.url}`;
+      } else if (revert.url) {
+        octokit.log.warn("%s: opened revert PR %s", pr.html_url, revert.url);
+        reason += `, opened revert PR ${revert.url}`;
+      } else {
+        reason += ", would open a revert PR";
       }
-    } catch (error) {
-      // Log warning but continue with other files
-      octokit.log.warn(
-        `${repoFullName}: Failed to update ${workflowPath}: ${error.message}`,
-      );
     }
+    settle("verify-failing", reason, pr.html_url);
+  } else if (results.some(({ state }) => state === "pending")) {
+    settle(
+      "verifying",
+      `workflows still running on merge commit ${summary}`,
+      pr.html_url,
+    );
+  } else {
+    octokit.log.info("%s: verified merge commit %s", pr.html_url, summary);
+    settle(
+      "verified",
+      `merged at ${pr.merged_at}, verified merge commit ${summary}`,
+      pr.html_url,
+    );
   }
+}
 
-  if (updatedFiles.length > 0) {
-    octokit.log.info(
-      `${repoFullName}: Successfully updated pnpm version in ${updatedFiles.length} workflow file(s): ${updatedFiles.join(", ")}`,
+/**
+ * Reverse what a journal says the script did to a repository, as far as that
+ * can be reversed, instead of driving it.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {import('@octoherd/cli').Repository} repository
+ * @param {object} run - see `script()`
+ * @param {string} journalPath
+ */
+async function undoRepository(octokit, repository, run, journalPath) {
+  const { baseParams, plan, settle } = run;
+  const entries = readJournal(journalPath, repository.full_name);
+  if (entries.length === 0) {
+    settle("undone", `nothing in ${journalPath}`);
+    return;
+  }
+
+  const { undone, skipped } = await undoJournalEntries(octokit, {
+    entries,
+    baseParams,
+    plan,
+  });
+  for (const line of undone) {
+    octokit.log.info(`${repository.full_name}: undo: ${line}`);
+  }
+  if (skipped.length > 0) {
+    octokit.log.warn(
+      `${repository.full_name}: not reversible: ${skipped.join("; ")}`,
     );
-  } else {
+  }
+  settle(
+    "undone",
+    [
+      ...undone,
+      ...(skipped.length > 0 ? [`not reversible: ${skipped.join(", ")}`] : []),
+    ].join("; "),
+  );
+}
+
+/**
+ * Save where a canary repository is at. A canary is only green once its PR
+ * is merged and the checks on the default branch passed, which a later run
+ * sees as `already-merged`: right after merging, they have not even started.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {import('@octoherd/cli').Repository} repository
+ * @param {object} run - see `script()`
+ * @param {import('./lib/report.js').RepositoryOutcome} outcome
+ */
+async function updateCanary(octokit, repository, run, outcome) {
+  const { rollout, baseParams, settle } = run;
+  const { pr } = outcome;
+
+  if (outcome.outcome === "merged") {
+    rollout.recordCanary(repository.full_name, {
+      state: "merged",
+      pr,
+      reason: "merged, checks on the default branch not run yet",
+    });
+    return;
+  }
+  if (
+    !["already-merged", "verifying", "verified", "verify-failing"].includes(
+      outcome.outcome,
+    )
+  ) {
+    rollout.recordCanary(repository.full_name, {
+      state: "open",
+      pr,
+      reason: `${outcome.outcome}: ${outcome.reason}`,
+    });
+    return;
+  }
+
+  const branch = repository.default_branch;
+  const { state, sha, failed } = await getBranchCheckState(
+    octokit,
+    baseParams,
+    branch,
+  );
+  if (state === "SUCCESS") {
     octokit.log.info(
-      `${repoFullName}: No workflow files needed pnpm version update`,
+      `${repository.full_name}: canary is merged and green on ${branch}`,
     );
+    rollout.recordCanary(repository.full_name, {
+      state: "green",
+      pr,
+      reason: `checks passed on ${branch} at ${sha.slice(0, 7)}`,
+    });
+  } else if (state === "PENDING") {
+    rollout.recordCanary(repository.full_name, {
+      state: "merged",
+      pr,
+      reason: `checks pending on ${branch} at ${sha.slice(0, 7)}`,
+    });
+  } else {
+    const reason = `checks failing on ${branch} at ${sha.slice(0, 7)} after the merge: ${failed.join(", ")}`;
+    octokit.log.warn(`${repository.full_name}: canary ${reason}`);
+    rollout.recordCanary(repository.full_name, {
+      state: "failing",
+      pr,
+      reason,
+    });
+    settle("canary-failing", reason, pr);
   }
 }
 
 /**
- * Drive renovate's major library update process.
+ * One pass over a repository: find the PR and take the next step towards
+ * merging it, or towards getting it created. What happened is recorded with
+ * `run.settle()`.
  *
  * @param {import('@octoherd/cli').Octokit} octokit
  * @param {import('@octoherd/cli').Repository} repository
- * @param {object} options
- * @param {string} [options.majorVersion] major version number for the library, for example v11. If you provide `all` then it will instead address the `all non-major updates` PR. If you provide `projen`, it will address the `fix(deps): upgrade projen` PR.
- * @param {string} [options.library] full name of library to be updated via renovate, for example \@time-loop/cdk-library. Ignored when doing an `all non-major updates`.
- * @param {number} [options.maxAgeDays] the maximum age, in days, since when a PR was merge to consider it the relevant PR. Ignored except when doing `all non-major updates`. Defaults to 7.
- * @param {boolean} [options.merge] whether to merge PRs. Defaults to true.
+ * @param {object} run - options and state shared by every pass, see `script()`
  */
-export async function script(
-  octokit,
-  repository,
-  {
+async function driveRepository(octokit, repository, run) {
+  const {
     majorVersion,
-    library = "@time-loop/cdk-library",
-    maxAgeDays = 7,
-    merge = true,
-  },
-) {
-  if (!majorVersion) {
-    throw new Error("--majorVersion is required, example v11");
-  }
+    maxAgeDays,
+    dryRun,
+    diagnostics,
+    diagnosticsComment,
+    fixers,
+    fixerOptions,
+    profile,
+    matcher,
+    prLibrary,
+    throttleMinutes,
+    inProgressStatuses,
+    approver,
+    search,
+    closeSuperseded,
+    closedPullRequests,
+    renovateRebase,
+    mergeHold,
+    verify,
+    baseParams,
+    plan,
+    settle,
+  } = run;
+  const checkMaxAge = !!profile.maxAge;
 
-  let checkMaxAge = false;
-  let expectedTitle = `fix(deps): update dependency ${library} to ${majorVersion}`;
-  let workflowName = "renovate";
-  switch (majorVersion) {
-    case "all":
-      checkMaxAge = true;
-      expectedTitle = "fix(deps): update all non-major dependencies";
-      break;
-    case "projen":
-      checkMaxAge = true;
-      expectedTitle = "fix(deps): upgrade projen";
-      workflowName = "update-projen-main";
+  // skip archived repos
+  if (repository.archived) {
+    octokit.log.info(`${repository.full_name} is archived, skipping.`);
+    settle("skipped-archived", "repository is archived");
+    return;
   }
 
-  const [repoOwner, repoName] = repository.full_name.split("/");
-  const baseParams = {
-    owner: repoOwner,
-    repo: repoName,
-  };
-
-  try {
-    // skip archived repos
-    if (repository.archived) {
-      octokit.log.info(`${repository.full_name} is archived, skipping.`);
-      return;
-    }
+  // Safety check.
+  const topics = await octokit.request(
+    "GET /repos/{owner}/{repo}/topics",
+    baseParams,
+  );
+  if (topics.data.names.includes(noTouchTopicName)) {
+    octokit.log.warn(`${repository.full_name} has label '${noTouchTopicName}'`);
+    settle("no-touch", `repository has topic '${noTouchTopicName}'`);
+    return;
+  }
 
-    // Safety check.
-    const topics = await octokit.request(
-      "GET /repos/{owner}/{repo}/topics",
+  // The topic is a hard stop, the configuration file fine-tunes the rest.
+  if (!run.repositoryConfig) {
+    run.repositoryConfig = await loadRepositoryConfig(
+      octokit,
       baseParams,
+      repository.default_branch,
     );
-    if (topics.data.names.includes(noTouchTopicName)) {
-      octokit.log.warn(
-        `${repository.full_name} has label '${noTouchTopicName}'`,
+    const description = describeRepositoryConfig(run.repositoryConfig);
+    if (description) {
+      octokit.log.info(
+        `${repository.full_name}: ${repositoryConfigPath}: ${description}`,
       );
-      return;
     }
-
-    // Find PR for library update?
-    const prs = await octokit.paginate(
-      "GET /repos/{owner}/{repo}/pulls",
-      { ...baseParams, state: "all" },
-      (response) => response.data,
+  }
+  const config = run.repositoryConfig;
+  if (prLibrary && !isAllowed(config.libraries, prLibrary)) {
+    octokit.log.warn(
+      `${repository.full_name}: ${repositoryConfigPath} does not allow library ${prLibrary}`,
+    );
+    settle(
+      "skipped-by-config",
+      `${repositoryConfigPath} does not allow library ${prLibrary}`,
+    );
+    return;
+  }
+  if (!isAllowed(config.profiles, profile.name)) {
+    octokit.log.warn(
+      `${repository.full_name}: ${repositoryConfigPath} does not allow profile ${profile.name}`,
+    );
+    settle(
+      "skipped-by-config",
+      `${repositoryConfigPath} does not allow profile ${profile.name}`,
+    );
+    return;
+  }
+  if (
+    config.maintenanceWindow &&
+    !isInMaintenanceWindow(config.maintenanceWindow, new Date(currentTime()))
+  ) {
+    octokit.log.info(
+      `${repository.full_name}: outside the maintenance window in ${repositoryConfigPath}`,
+    );
+    settle(
+      "outside-maintenance-window",
+      `outside the maintenance window in ${repositoryConfigPath}`,
     );
-    for (const pr of prs) {
-      const { id, title, merged_at, html_url, draft, closed_at } = pr;
+    return;
+  }
+  const merge = run.merge && config.merge !== false;
+  const mergeMethod = config.mergeMethod ?? run.mergeMethod;
+
+  // Find PR for library update?
+  const prs = await findPullRequests(octokit, { baseParams, matcher, search });
+  let selected = selectPullRequests(
+    octokit,
+    repository.full_name,
+    prs,
+    matcher,
+  );
 
-      if (!title.startsWith(expectedTitle)) {
-        continue; // This is not the PR we're looking for. Maybe the next one is?
+  if (closeSuperseded) {
+    const { keep, stale } = findStalePullRequests(prs, selected, matcher);
+    for (const entry of stale) {
+      // Search results can lag behind, don't close the same PR twice.
+      if (closedPullRequests.has(entry.pr.html_url)) {
+        continue;
       }
+      await closeStalePullRequest(octokit, {
+        baseParams,
+        repoFullName: repository.full_name,
+        stale: entry,
+        keep,
+        plan,
+      });
+      closedPullRequests.add(entry.pr.html_url);
+    }
+    selected = selected.filter(
+      ({ pr }) => !closedPullRequests.has(pr.html_url),
+    );
+  }
 
-      // Is it already merged?
-      if (merged_at) {
-        const currentDate = new Date();
-        const mergedAt = Date.parse(merged_at);
-        const daysAgo =
-          (currentDate.getTime() - mergedAt) / (1000 * 60 * 60 * 24);
-        if (checkMaxAge && daysAgo > maxAgeDays) {
-          octokit.log.info(
-            `${repository.full_name} already merged ${html_url} at ${merged_at}, ${daysAgo.toFixed(1)} days ago, ignoring`,
-          );
-          break; // PRs are returned in chronological order. No need to look further, it doesn't exist.
-        }
+  for (const { pr, reason } of selected) {
+    const { node_id, merged_at, html_url, draft, closed_at, status } = pr;
+    octokit.log.info(
+      `${repository.full_name}: matched "${pr.title}" ${html_url}: ${reason}`,
+    );
+
+    // Is it already merged?
+    if (merged_at) {
+      const currentDate = new Date(currentTime());
+      const mergedAt = Date.parse(merged_at);
+      const daysAgo =
+        (currentDate.getTime() - mergedAt) / (1000 * 60 * 60 * 24);
+      if (checkMaxAge && daysAgo > maxAgeDays) {
         octokit.log.info(
-          `${repository.full_name} already merged ${html_url} at ${merged_at}`,
+          `${repository.full_name} already merged ${html_url} at ${merged_at}, ${daysAgo.toFixed(1)} days ago, ignoring`,
         );
-        return;
+        break; // PRs are found newest first. No need to look further, it doesn't exist.
       }
-
-      if (closed_at) {
-        continue;
+      octokit.log.info(
+        `${repository.full_name} already merged ${html_url} at ${merged_at}`,
+      );
+      settle("already-merged", `merged at ${merged_at}`, html_url);
+      if (verify && daysAgo <= maxAgeDays) {
+        await verifyMerge(octokit, repository, run, pr);
       }
+      return;
+    }
 
-      if (draft) {
-        octokit.log.warn(`${repository.full_name} has DRAFT PR at ${html_url}`);
-        return;
-      }
+    if (closed_at) {
+      continue;
+    }
 
-      // Apply .projenrc.ts fix for projen PRs
-      if (majorVersion === "projen") {
-        try {
-          const prBranch = pr.head.ref;
-          const projenrcPath = ".projenrc.ts";
-
-          // Fetch the .projenrc.ts file from the PR branch
-          let fileResponse;
-          try {
-            fileResponse = await octokit.request(
-              "GET /repos/{owner}/{repo}/contents/{path}",
-              {
-                ...baseParams,
-                path: projenrcPath,
-                ref: prBranch,
-              },
-            );
-          } catch (error) {
-            // File doesn't exist or can't be fetched, continue normally
-            if (error.status === 404) {
-              octokit.log.info(
-                `${repository.full_name}: .projenrc.ts not found in PR branch, skipping fix`,
-              );
-            } else {
-              octokit.log.warn(
-                `${repository.full_name}: Could not fetch .projenrc.ts: ${error.message}`,
-              );
-            }
-            // Continue to PR validation
-            fileResponse = null;
-          }
+    if (draft) {
+      octokit.log.warn(`${repository.full_name} has DRAFT PR at ${html_url}`);
+      settle("draft", "PR is a draft", html_url);
+      return;
+    }
 
-          if (fileResponse) {
-            const content = Buffer.from(
-              fileResponse.data.content,
-              "base64",
-            ).toString("utf-8");
-            const fileSha = fileResponse.data.sha;
-
-            // Check if the file contains the deprecated packageManager configuration
-            if (
-              content.includes(
-                "packageManager: javascript.NodePackageManager.PNPM",
-              )
-            ) {
-              octokit.log.info(
-                `${repository.full_name}: Found deprecated packageManager configuration, applying fix...`,
-              );
-
-              let updatedContent = content;
-
-              // Check if pnpmVersion exists and warn if it's not the default
-              const pnpmVersionMatch = content.match(
-                /pnpmVersion:\s*['"]([^'"]+)['"]/,
-              );
-              if (pnpmVersionMatch && pnpmVersionMatch[1] !== "9") {
-                octokit.log.warn(
-                  `${repository.full_name}: Removing non-standard pnpmVersion: '${pnpmVersionMatch[1]}'`,
-                );
-              }
+    const fixed = await applyFixers(octokit, {
+      baseParams,
+      pr,
+      fixers,
+      enabled: config.fixers,
+      library: prLibrary,
+      majorVersion,
+      options: fixerOptions,
+      repoFullName: repository.full_name,
+      plan,
+    });
 
-              // Remove the packageManager line
-              updatedContent = updatedContent.replace(
-                /^\s*packageManager:\s*javascript\.NodePackageManager\.PNPM,?\s*$/gm,
-                "",
-              );
-
-              // Remove the pnpmVersion line (handles any version)
-              updatedContent = updatedContent.replace(
-                /^\s*pnpmVersion:\s*['"][^'"]*['"],?\s*$/gm,
-                "",
-              );
-
-              // Check if 'javascript' import is still used elsewhere in the file
-              const remainingContent = updatedContent.replace(
-                /^import\s+\{[^}]*\}\s+from\s+['"]projen['"];?\s*$/gm,
-                "",
-              );
-
-              // If 'javascript' is not used anywhere else, remove the import
-              if (!remainingContent.includes("javascript.")) {
-                updatedContent = updatedContent.replace(
-                  /^import\s+\{\s*javascript\s*\}\s+from\s+['"]projen['"];?[ \t]*\n/gm,
-                  "",
-                );
-              }
+    // The status found with the PR is for the commit before the fixes.
+    if (fixed && !dryRun) {
+      settle(
+        "checks-pending",
+        "committed fixes, waiting for checks on the new commit",
+        html_url,
+      );
+      return;
+    }
 
-              // Clean up any extra blank lines that might have been created
-              updatedContent = updatedContent.replace(/\n\n\n+/g, "\n\n");
-
-              // Clean up blank lines left in object/array property lists after removing lines
-              // This handles: property,\n\n  property -> property,\n  property
-              updatedContent = updatedContent.replace(
-                /,\s*\n\s*\n(\s+)/g,
-                ",\n$1",
-              );
-
-              // Clean up blank lines at the start of objects/arrays after removing first property
-              // This handles: {\n\n  property -> {\n  property
-              updatedContent = updatedContent.replace(
-                /\{\s*\n\s*\n(\s+)/g,
-                "{\n$1",
-              );
-
-              // Clean up blank lines before closing braces
-              // This handles: \n\n} -> \n} while preserving commas
-              updatedContent = updatedContent.replace(
-                /\s*\n\s*\n(\s*\})/g,
-                "\n$1",
-              );
-
-              // Only commit if content actually changed
-              if (updatedContent !== content) {
-                // Commit the changes to the PR branch
-                await octokit.request(
-                  "PUT /repos/{owner}/{repo}/contents/{path}",
-                  {
-                    ...baseParams,
-                    path: projenrcPath,
-                    message:
-                      "chore(projen): remove deprecated packageManager configuration",
-                    content: Buffer.from(updatedContent).toString("base64"),
-                    sha: fileSha,
-                    branch: prBranch,
-                  },
-                );
-
-                octokit.log.info(
-                  `${repository.full_name}: Successfully fixed .projenrc.ts in PR ${html_url}`,
-                );
-              } else {
-                octokit.log.info(
-                  `${repository.full_name}: No changes needed for .projenrc.ts`,
-                );
-              }
-            }
+    const {
+      reviewDecision,
+      mergeable,
+      mergeStateStatus,
+      viewerCanUpdate,
+      isMergeQueueEnabled,
+      isInMergeQueue,
+      mergeQueueEntry,
+    } = status;
 
-            // Always update pnpm version in workflow files for idempotency
-            // (handles cases where .projenrc.ts was already fixed but workflows weren't)
-            await updateWorkflowPnpmVersions(
-              octokit,
-              baseParams,
-              prBranch,
-              repository.full_name,
-            );
-          }
-        } catch (error) {
-          // Log error but don't stop the script
-          octokit.log.error(
-            `${repository.full_name}: Error while fixing .projenrc.ts: ${error.message}`,
-          );
-          // Continue to PR validation
-        }
+    // Once queued, the merge queue takes it from here.
+    if (isInMergeQueue && mergeQueueEntry) {
+      const position = describeMergeQueueEntry(mergeQueueEntry);
+      octokit.log.info("%s: %s", pr.html_url, position);
+      settle("merge-queued", position, html_url);
+      return;
+    }
+    if (isMergeQueueEnabled) {
+      const ejection = getMergeQueueEjection(status);
+      if (ejection) {
+        octokit.log.warn(
+          "%s: removed from the merge queue: %s",
+          pr.html_url,
+          ejection,
+        );
+        settle(
+          "merge-queue-ejected",
+          `removed from the merge queue: ${ejection}`,
+          html_url,
+        );
+        return;
       }
+    }
 
-      let autoMergeEnabled = false;
-      if (merge) {
-        try {
-          await octokit.graphql(
-            `mutation enableAutoMerge($pullRequestId: ID!) {
-              enablePullRequestAutoMerge(input: {
-                pullRequestId: $pullRequestId
-                mergeMethod: SQUASH
-              }) {
-                pullRequest {
-                  autoMergeRequest {
-                    enabledAt
-                  }
+    if (merge && !run.allowedMergeMethods) {
+      run.allowedMergeMethods = await getAllowedMergeMethods(
+        octokit,
+        baseParams,
+        repository,
+      );
+    }
+    // A merge queue merges with its own method, set in the ruleset.
+    if (
+      merge &&
+      !isMergeQueueEnabled &&
+      !run.allowedMergeMethods.includes(mergeMethod)
+    ) {
+      octokit.log.error(
+        `${repository.full_name}: merge method ${mergeMethod} is not allowed, use one of: ${run.allowedMergeMethods.join(", ")}`,
+      );
+      settle(
+        "error",
+        `merge method ${mergeMethod} is not allowed, the repository allows ${run.allowedMergeMethods.join(", ") || "none"}`,
+        html_url,
+      );
+      return;
+    }
+
+    let autoMergeEnabled = !!status.autoMergeRequest;
+    if (
+      merge &&
+      !mergeHold &&
+      config.autoMerge !== false &&
+      !isMergeQueueEnabled &&
+      !autoMergeEnabled
+    ) {
+      try {
+        await plan.graphql(
+          `mutation enableAutoMerge(
+            $pullRequestId: ID!
+            $mergeMethod: PullRequestMergeMethod!
+          ) {
+            enablePullRequestAutoMerge(input: {
+              pullRequestId: $pullRequestId
+              mergeMethod: $mergeMethod
+            }) {
+              pullRequest {
+                autoMergeRequest {
+                  enabledAt
                 }
               }
-            }`,
-            {
-              pullRequestId: id,
-            },
+            }
+          }`,
+          {
+            pullRequestId: node_id,
+            mergeMethod: mergeMethod.toUpperCase(),
+          },
+          `enable auto-merge (${mergeMethod}) on #${pr.number}`,
+          pr.number,
+        );
+        // A dry run can't know whether GitHub would accept it, so the plan
+        // goes on with the manual merge it falls back to.
+        if (dryRun) {
+          octokit.log.info(
+            "would enable auto-merge, or merge manually if GitHub refuses: %s",
+            pr.html_url,
           );
+        } else {
           octokit.log.info(
             "auto-merge enabled, GitHub will merge when ready: %s",
             pr.html_url,
           );
           autoMergeEnabled = true;
-        } catch (error) {
-          // Auto-merge not allowed or failed, fall back to manual merge
-          octokit.log.info(
-            `${repository.full_name}: auto-merge not available (${error.message}), falling back to manual merge`,
-          );
         }
+      } catch (error) {
+        // Auto-merge not allowed or failed, fall back to manual merge
+        octokit.log.info(
+          `${repository.full_name}: auto-merge not available (${error.message}), falling back to manual merge`,
+        );
       }
+    }
 
-      // Copied from
-      // https://github.com/gr2m/octoherd-script-merge-pull-requests/blob/main/script.js
-      const result = await octokit.graphql(
-        `query prStatus($htmlUrl: URI!) {
-          resource(url: $htmlUrl) {
-            ... on PullRequest {
-              # merge status
-              mergeable
-              # review status
-              reviewDecision
-              viewerCanUpdate
-              viewerDidAuthor
-              latestOpinionatedReviews(first:10,writersOnly:true) {
-                nodes {
-                  viewerDidAuthor
-                }
-              }
-              # CI status
-              commits(last: 1) {
-                nodes {
-                  commit {
-                    oid
-                    statusCheckRollup {
-                      state
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-        `,
-        {
-          htmlUrl: html_url,
-        },
+    // Status check information. Only required checks decide whether the PR
+    // is ready, a failing optional check is merely reported.
+    const statusCheckRollup = status.commits.nodes[0].commit.statusCheckRollup;
+    const {
+      state: combinedStatus,
+      failedRequired,
+      failedOptional,
+    } = summarizeChecks({
+      rollupState: statusCheckRollup?.state || "PENDING",
+      checks: statusCheckRollup?.contexts.nodes ?? [],
+      required: await getRequiredChecks(octokit, baseParams, pr.base.ref),
+    });
+    if (failedOptional.length > 0) {
+      octokit.log.warn(
+        "%s: optional checks failed: %s",
+        pr.html_url,
+        failedOptional.join(", "),
       );
+    }
 
-      const { reviewDecision, mergeable, viewerCanUpdate, viewerDidAuthor } =
-        result.resource;
-
-      // Status check information
-      const combinedStatus =
-        result.resource.commits.nodes[0].commit.statusCheckRollup?.state ||
-        "PENDING";
+    const latestCommitId = status.commits.nodes[0].commit.oid;
 
-      // Approval information
-      const viewerDidApprove =
-        !!result.resource.latestOpinionatedReviews.nodes.find(
-          (node) => node.viewerDidAuthor,
-        );
+    const logData = {
+      pr: {
+        number: pr.number,
+        reviewDecision,
+        mergeable,
+        mergeStateStatus,
+        combinedStatus,
+        viewerCanUpdate,
+      },
+    };
 
-      const latestCommitId = result.resource.commits.nodes[0].commit.oid;
+    if (!viewerCanUpdate) {
+      octokit.log.info(
+        logData,
+        `%s: you cannot update this PR. Skipping`,
+        pr.html_url,
+      );
+      settle("no-permission", "you cannot update this PR", html_url);
+      return;
+    }
 
-      const logData = {
-        pr: {
-          number: pr.number,
-          reviewDecision,
-          mergeable,
-          combinedStatus,
-          viewerCanUpdate,
-        },
-      };
+    if (await isBehindBaseBranch(octokit, baseParams, pr, mergeStateStatus)) {
+      await updatePullRequestBranch(octokit, baseParams, pr, plan);
+      settle("updating-branch", "PR is behind its base branch", html_url);
+      return;
+    }
 
-      if (!viewerCanUpdate) {
-        octokit.log.info(
-          logData,
-          `%s: you cannot update this PR. Skipping`,
+    // Renovate recreates its branch from scratch when asked to rebase, which
+    // resolves the conflicts, but drops any commit it didn't make.
+    if (
+      mergeable === "CONFLICTING" &&
+      renovateRebase !== "none" &&
+      isRenovatePullRequest(pr)
+    ) {
+      const foreignCommits = await listForeignCommits(octokit, baseParams, pr);
+      if (foreignCommits.length > 0) {
+        const authors = [
+          ...new Set(foreignCommits.map(({ author }) => author)),
+        ].join(", ");
+        octokit.log.warn(
+          "%s: has conflicts, but also commits by %s that a Renovate rebase would drop. Resolve by hand",
           pr.html_url,
+          authors,
+        );
+        settle(
+          "not-mergeable",
+          `conflicts, not asking Renovate to rebase as it would drop commits by ${authors}`,
+          html_url,
         );
         return;
       }
 
-      if (combinedStatus !== "SUCCESS") {
-        octokit.log.info(
-          logData,
-          `%s: status is "%s". Skipping`,
-          pr.html_url,
-          combinedStatus,
+      const rebase = await requestRenovateRebase(octokit, {
+        baseParams,
+        pr,
+        method: renovateRebase,
+        since: status.commits.nodes[0].commit.committedDate,
+        plan,
+      });
+      octokit.log.info(
+        "%s: has conflicts, %s",
+        pr.html_url,
+        rebase === "requested"
+          ? "asked Renovate to rebase"
+          : "Renovate rebase already requested",
+      );
+      settle(
+        "rebase-requested",
+        rebase === "requested"
+          ? `conflicts, asked Renovate to rebase (${renovateRebase})`
+          : "conflicts, Renovate rebase already requested",
+        html_url,
+      );
+      return;
+    }
+
+    if (combinedStatus !== "SUCCESS") {
+      octokit.log.info(
+        logData,
+        `%s: status is "%s". Skipping`,
+        pr.html_url,
+        combinedStatus,
+      );
+      if (combinedStatus === "PENDING" || combinedStatus === "EXPECTED") {
+        settle(
+          autoMergeEnabled ? "auto-merge-enabled" : "checks-pending",
+          autoMergeEnabled
+            ? `status is ${combinedStatus}, GitHub will merge when ready`
+            : `status is ${combinedStatus}`,
+          html_url,
         );
         return;
       }
 
-      if (mergeable !== "MERGEABLE") {
+      settle(
+        "checks-failing",
+        failedRequired.length > 0
+          ? `required checks failed: ${failedRequired.join(", ")}`
+          : `status is ${combinedStatus}`,
+        html_url,
+      );
+      if (diagnostics) {
+        try {
+          const failedChecks = await collectDiagnostics(
+            octokit,
+            baseParams,
+            latestCommitId,
+          );
+          octokit.log.info(
+            `%s: failing checks\n%s`,
+            pr.html_url,
+            formatDiagnosticsForLog(failedChecks),
+          );
+          if (diagnosticsComment && failedChecks.length > 0) {
+            await postDiagnosticsComment(
+              octokit,
+              baseParams,
+              pr,
+              failedChecks,
+              latestCommitId,
+              plan,
+            );
+          }
+        } catch (error) {
+          octokit.log.warn(
+            `${repository.full_name}: Could not collect diagnostics: ${error.message}`,
+          );
+        }
+      }
+      return;
+    }
+
+    if (mergeable !== "MERGEABLE") {
+      octokit.log.info(
+        logData,
+        `%s: mergable status is "%s". Skipping`,
+        pr.html_url,
+        mergeable,
+      );
+      settle("not-mergeable", `mergeable is ${mergeable}`, html_url);
+      return;
+    }
+
+    // Whether the approval is enough only shows when merging, so that it
+    // doesn't take another query to find out.
+    let approvedNow = false;
+    if (reviewDecision !== "APPROVED") {
+      // A separate approver can approve PRs the script's token opened.
+      const approverClient = approver
+        ? await approver.forRepository(baseParams, { dryRun })
+        : octokit;
+      const you = approver ? approver.description : "you";
+      // Without a client, in a dry run, what the approver sees is unknown:
+      // plan the approval as if it can approve.
+      const reviewState = !approver
+        ? toReviewState(status)
+        : approverClient
+          ? await getReviewState(approverClient, html_url)
+          : {
+              ...toReviewState(status),
+              viewerDidAuthor: false,
+              viewerDidApprove: false,
+            };
+      /**
+       * @param {string} reason
+       * @param {string[]} pendingCodeOwners
+       */
+      const awaitApproval = (reason, pendingCodeOwners) => {
+        const codeOwners =
+          pendingCodeOwners.length > 0
+            ? `, still needs code owners ${pendingCodeOwners.join(", ")}`
+            : "";
         octokit.log.info(
           logData,
-          `%s: mergable status is "%s". Skipping`,
+          "%s: awaiting approval%s. Skipping",
           pr.html_url,
-          mergeable,
+          codeOwners,
+        );
+        settle("awaiting-approval", `${reason}${codeOwners}`, html_url);
+      };
+
+      if (reviewState.viewerDidAuthor) {
+        awaitApproval(
+          `${you} authored this PR and cannot approve it`,
+          reviewState.pendingCodeOwners,
+        );
+        return;
+      }
+      if (reviewState.viewerDidApprove) {
+        awaitApproval(
+          `${you} already approved this PR`,
+          reviewState.pendingCodeOwners,
+        );
+        return;
+      }
+      if (config.approve === false) {
+        awaitApproval(
+          `approval disabled by ${repositoryConfigPath}`,
+          reviewState.pendingCodeOwners,
         );
         return;
       }
 
-      if (reviewDecision !== "APPROVED") {
-        if (!viewerDidAuthor && !viewerDidApprove) {
-          // attempt to add approval
-          await octokit.request(
-            "POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews",
-            {
-              owner: repository.owner.login,
-              repo: repository.name,
-              pull_number: pr.number,
-              event: "APPROVE",
-              commit_id: latestCommitId,
-            },
-          );
+      // attempt to add approval
+      await plan.request(
+        "POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews",
+        {
+          owner: repository.owner.login,
+          repo: repository.name,
+          pull_number: pr.number,
+          event: "APPROVE",
+          commit_id: latestCommitId,
+        },
+        `approve #${pr.number} at ${latestCommitId}${approver ? ` as ${approver.description}` : ""}`,
+        approverClient,
+      );
 
-          // check if PR is now approved
-          const {
-            resource: { reviewDecision: newReviewDecision },
-          } = await octokit.graphql(
-            `query prStatus($htmlUrl: URI!) {
-                resource(url: $htmlUrl) {
-                  ... on PullRequest {
-                    reviewDecision
-                  }
-                }
-              }`,
-            {
-              htmlUrl: pr.html_url,
-            },
-          );
+      approvedNow = true;
 
-          if (newReviewDecision !== "APPROVED") {
-            octokit.log.info(
-              logData,
-              "%s: awaiting approval. Skipping",
-              pr.html_url,
-            );
-            return;
-          }
-        } else {
-          octokit.log.info(
-            logData,
-            "%s: awaiting approval. Skipping",
-            pr.html_url,
+      // Check if the PR is now approved: it may need more reviews, from code
+      // owners or otherwise. A dry run can't know, so assume it is unless
+      // code owners are still requested.
+      if (dryRun) {
+        if (reviewState.pendingCodeOwners.length > 0) {
+          awaitApproval("approved", reviewState.pendingCodeOwners);
+          return;
+        }
+      } else {
+        const { reviewDecision, pendingCodeOwners } = await getReviewState(
+          octokit,
+          html_url,
+        );
+        if (reviewDecision !== "APPROVED") {
+          awaitApproval(
+            `review decision is ${reviewDecision} after approving`,
+            pendingCodeOwners,
           );
           return;
         }
       }
+    }
+
+    /**
+     * A merge or enqueue that GitHub refused right after we approved most
+     * likely needs more reviews.
+     *
+     * @param {any} error
+     */
+    const refusedAfterApproval = (error) => {
+      if (!approvedNow) {
+        throw error;
+      }
+      octokit.log.info(
+        logData,
+        "%s: approved, but cannot merge yet: %s",
+        pr.html_url,
+        error.message,
+      );
+      settle(
+        "awaiting-approval",
+        `approved, but cannot merge yet: ${error.message}`,
+        html_url,
+      );
+    };
+
+    // Auto-merge that someone else enabled still goes ahead, there is no
+    // holding that back.
+    if (merge && mergeHold && !autoMergeEnabled) {
+      octokit.log.info("%s: ready, but %s", pr.html_url, mergeHold);
+      settle("waiting-for-canaries", mergeHold, html_url);
+      return;
+    }
 
-      if (merge && !autoMergeEnabled) {
-        const commit_title = `${pr.title} (#${pr.number})`;
-        await octokit.request(
+    if (merge && isMergeQueueEnabled) {
+      let response;
+      try {
+        response = await plan.graphql(
+          `mutation enqueuePullRequest($pullRequestId: ID!) {
+            enqueuePullRequest(input: { pullRequestId: $pullRequestId }) {
+              mergeQueueEntry {
+                position
+                state
+              }
+            }
+          }`,
+          {
+            pullRequestId: node_id,
+          },
+          `add #${pr.number} to the merge queue`,
+          pr.number,
+        );
+      } catch (error) {
+        refusedAfterApproval(error);
+        return;
+      }
+      const entry = response?.enqueuePullRequest.mergeQueueEntry;
+      const position = entry
+        ? describeMergeQueueEntry(entry)
+        : "added to the merge queue";
+      octokit.log.info("%s: %s", pr.html_url, position);
+      settle("merge-queued", position, html_url);
+    } else if (merge && !autoMergeEnabled) {
+      const commit_title = `${pr.title} (#${pr.number})`;
+      try {
+        await plan.request(
           "PUT /repos/{owner}/{repo}/pulls/{pull_number}/merge",
           {
             owner: repository.owner.login,
             repo: repository.name,
             pull_number: pr.number,
             commit_title,
-            merge_method: "squash",
+            merge_method: mergeMethod,
           },
+          `${mergeMethod} merge #${pr.number}`,
         );
-        octokit.log.info("pull request manually merged: %s", pr.html_url);
-      } else {
-        octokit.log.info(
-          "pull request ready to merge (merge disabled): %s",
-          pr.html_url,
-        );
+      } catch (error) {
+        refusedAfterApproval(error);
+        return;
       }
-      return;
+      octokit.log.info("pull request manually merged: %s", pr.html_url);
+      settle(
+        "merged",
+        verify
+          ? `${mergeMethod} merged, workflows on the merge commit not started yet`
+          : `${mergeMethod} merged`,
+        html_url,
+      );
+    } else if (autoMergeEnabled) {
+      octokit.log.info(
+        "pull request ready, GitHub will auto-merge: %s",
+        pr.html_url,
+      );
+      settle("auto-merge-enabled", "ready, GitHub will merge", html_url);
+    } else {
+      octokit.log.info(
+        "pull request ready to merge (merge disabled): %s",
+        pr.html_url,
+      );
+      settle("ready", "ready to merge, merge disabled", html_url);
     }
+    return;
+  }
 
-    // TODO: trigger renovate to generate the PR? If so, we should also detect when the action is already running.
-    octokit.log.warn(`${repository.full_name} has no PR for ${expectedTitle}`);
+  octokit.log.warn(
+    `${repository.full_name} has no PR for ${matcher.description}`,
+  );
 
-    // Find the update-main workflow,
-    const workflowPath = `.github/workflows/${workflowName}.yml`;
-    const workflows = await octokit.paginate(
-      "GET /repos/{owner}/{repo}/actions/workflows",
-      { ...baseParams, per_page: 100 },
-      (response) => response.data,
-    );
-    const renovateWf = workflows.find((w) => w.path === workflowPath);
-    // octokit.log.info(JSON.stringify(renovateWf));
-    if (renovateWf === undefined) {
-      octokit.log.error(`Missing workflow at ${workflowPath}`);
+  // Asking Renovate through its dashboard gets us exactly the PR we want,
+  // re-running the workflow is only a fallback.
+  if (profile.dashboard) {
+    const requested = await requestFromDependencyDashboard(octokit, {
+      baseParams,
+      matcher,
+      repoFullName: repository.full_name,
+      plan,
+    });
+    if (requested) {
+      settle(requested.outcome, requested.reason, requested.url);
       return;
     }
-    const workflow_id = renovateWf?.id ?? 0; // Should never be 0, but...
+  }
 
-    // is it still running?
-    const runs = await octokit.paginate(
-      "GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs",
-      {
-        ...baseParams,
-        workflow_id,
-        per_page: 100,
-      },
-      (response) => response.data,
-    );
+  if (!profile.workflow) {
+    settle("no-pr", `no PR, and profile ${profile.name} has no workflow`);
+    return;
+  }
+
+  // Find the update-main workflow,
+  const workflowName = profile.workflow;
+  const workflowPath = `.github/workflows/${workflowName}`;
+  const workflows = await octokit.paginate(
+    "GET /repos/{owner}/{repo}/actions/workflows",
+    { ...baseParams, per_page: 100 },
+    (response) => response.data,
+  );
+  const renovateWf = workflows.find((w) => w.path === workflowPath);
+  // octokit.log.info(JSON.stringify(renovateWf));
+  if (renovateWf === undefined) {
+    octokit.log.error(`Missing workflow at ${workflowPath}`);
+    settle("error", `no PR and missing workflow at ${workflowPath}`);
+    return;
+  }
+  const workflow_id = renovateWf?.id ?? 0; // Should never be 0, but...
+
+  const defaultBranch = repository.default_branch ?? "main";
 
-    const sortedRunsOnMain = runs
-      .filter((r) => r.head_branch === "main")
-      .sort((a, b) => b.run_number - a.run_number); // Sort to find newest
+  // is it still running? Runs come newest first.
+  const {
+    data: { workflow_runs: runsOnDefaultBranch },
+  } = await octokit.request(
+    "GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs",
+    {
+      ...baseParams,
+      workflow_id,
+      branch: defaultBranch,
+      per_page: 1,
+    },
+  );
 
-    const lastRun = sortedRunsOnMain[0];
+  const lastRun = runsOnDefaultBranch[0];
+  if (lastRun) {
     octokit.log.info(
       `${repository.full_name} lastRun.run_started_at: ${lastRun.run_started_at} status: ${lastRun.status} id: ${lastRun.id}`,
     );
@@ -598,38 +1102,488 @@ export async function script(
     // If it's still running, comment and proceed
     // Per https://docs.github.com/en/free-pro-team@latest/rest/actions/workflow-runs?apiVersion=2022-11-28#get-a-workflow-run
     // Can be one of: completed, action_required, cancelled, failure, neutral, skipped, stale, success, timed_out, in_progress, queued, requested, waiting, pending
-    if (
-      ["in_progress", "queued", "requested", "waiting", "pending"].includes(
-        lastRun.status ?? "unknown",
-      )
-    ) {
+    if (inProgressStatuses.includes(lastRun.status ?? "unknown")) {
       octokit.log.info(
-        `${repository.full_name} renovate is currently ${lastRun.status}: ${lastRun.html_url}`,
+        `${repository.full_name} ${workflowName} is currently ${lastRun.status}: ${lastRun.html_url}`,
+      );
+      settle(
+        "workflow-running",
+        `no PR, ${workflowName} is ${lastRun.status}: ${lastRun.html_url}`,
+      );
+      return;
+    }
+
+    // The run we started finished without creating the PR.
+    if (run.startedRunId === lastRun.id) {
+      octokit.log.warn(
+        `${repository.full_name} ${workflowName} run ${lastRun.id} concluded ${lastRun.conclusion}: ${lastRun.html_url}`,
+      );
+      settle(
+        "workflow-finished",
+        `no PR, ${workflowName} run ${lastRun.id} concluded ${lastRun.conclusion}: ${lastRun.html_url}`,
       );
       return;
     }
 
-    // Don't re-run more than once every 30 min
+    // Don't start it more than once every `throttleMinutes`
     if (lastRun.run_started_at) {
       const lastRunTime = Date.parse(lastRun.run_started_at);
-      const minutesSinceLastRun = (Date.now() - lastRunTime) / (1000 * 60);
-      if (minutesSinceLastRun < 30) {
+      const minutesSinceLastRun = (currentTime() - lastRunTime) / (1000 * 60);
+      if (minutesSinceLastRun < throttleMinutes) {
         octokit.log.info(
           `${repository.full_name} workflow ran ${minutesSinceLastRun.toFixed(1)} minutes ago, skipping re-run (throttled)`,
         );
+        settle(
+          "throttled",
+          `no PR, ${workflowName} ran ${minutesSinceLastRun.toFixed(1)} minutes ago`,
+        );
         return;
       }
     }
+  }
 
-    // Otherwise trigger a re-run
+  // Dispatching runs the workflow as it is on the default branch today,
+  // where a re-run would replay the configuration of an old commit.
+  if (
+    await supportsWorkflowDispatch(
+      octokit,
+      baseParams,
+      workflowPath,
+      defaultBranch,
+    )
+  ) {
     octokit.log.info(
-      `${repository.full_name} Triggering re-run of ${lastRun.id}`,
+      `${repository.full_name} Dispatching ${workflowName} on ${defaultBranch}`,
+    );
+    const startedRun = await dispatchWorkflow(octokit, {
+      baseParams,
+      workflowId: workflow_id,
+      workflowName,
+      ref: defaultBranch,
+      plan,
+    });
+    if (startedRun) {
+      run.startedRunId = startedRun.id;
+      octokit.log.info(
+        `${repository.full_name} ${workflowName} run ${startedRun.id} is ${startedRun.status}: ${startedRun.html_url}`,
+      );
+    }
+    settle(
+      "workflow-dispatched",
+      startedRun
+        ? `no PR, dispatched ${workflowName} run ${startedRun.id}: ${startedRun.html_url}`
+        : `no PR, dispatched ${workflowName}`,
+    );
+    return;
+  }
+
+  if (!lastRun) {
+    octokit.log.error(
+      `${repository.full_name} ${workflowName} has never run on ${defaultBranch} and can't be dispatched`,
+    );
+    settle(
+      "error",
+      `no PR, and ${workflowName} can neither be dispatched nor re-run`,
     );
-    octokit.request("POST /repos/{owner}/{repo}/actions/runs/{run_id}/rerun", {
+    return;
+  }
+
+  // Otherwise trigger a re-run
+  octokit.log.info(
+    `${repository.full_name} Triggering re-run of ${lastRun.id}`,
+  );
+  await plan.request(
+    "POST /repos/{owner}/{repo}/actions/runs/{run_id}/rerun",
+    {
       ...baseParams,
       run_id: lastRun.id,
-    });
+    },
+    `re-run ${workflowName} run ${lastRun.id}`,
+  );
+  run.startedRunId = lastRun.id;
+  settle("rerun-triggered", `no PR, re-ran ${workflowName} run ${lastRun.id}`);
+}
+
+/**
+ * Drive renovate's major library update process.
+ *
+ * @param {import('@octoherd/cli').Octokit} octokit
+ * @param {import('@octoherd/cli').Repository} repository
+ * @param {object} options
+ * @param {string} [options.majorVersion] major version number for the library, for example v11, a range like `>=v11`, or `latest` for the highest major with an open PR. If you provide `all` then it will instead address the `all non-major updates` PR. If you provide `projen`, it will address the `fix(deps): upgrade projen` PR.
+ * @param {string} [options.library] full name of library to be updated via renovate, for example \@time-loop/cdk-library. Ignored when doing an `all non-major updates`.
+ * @param {string} [options.profile] name of the profile describing the PRs to drive. Defaults to `all` or `projen` for those `majorVersion`s, else `renovate`.
+ * @param {string} [options.profiles] path to a JSON file with additional profiles.
+ * @param {string} [options.group] Renovate group name, for the `renovate-group` profile.
+ * @param {string} [options.titlePattern] regular expression matching the title of the PR to drive. Overrides the title of the profile.
+ * @param {number} [options.maxAgeDays] the maximum age, in days, since when a PR was merge to consider it the relevant PR. Only used by profiles for PRs that come back again and again, like `all non-major updates`. Defaults to 7.
+ * @param {boolean} [options.merge] whether to merge PRs. Defaults to true.
+ * @param {string} [options.mergeMethod] `squash`, `merge` or `rebase`, checked against the methods the repository allows. Not used when the base branch requires a merge queue. Defaults to `squash`.
+ * @param {boolean} [options.closeSuperseded] close open PRs for older majors of the library, and duplicates of the PR being driven, with a comment, and delete their branches. Defaults to false.
+ * @param {"checkbox" | "comment" | "none"} [options.renovateRebase] how to ask Renovate to rebase a PR with conflicts: tick the rebase checkbox, comment `@renovate rebase`, or not at all. Defaults to `checkbox`.
+ * @param {string} [options.approverToken] token to approve PRs with instead of the script's, e.g. when the script's token opened them.
+ * @param {string | number} [options.approverAppId] ID of a GitHub App to approve PRs with, instead of `approverToken`.
+ * @param {string} [options.approverPrivateKey] private key of that GitHub App, PEM or path to a PEM file.
+ * @param {boolean} [options.dryRun] make no changes at all, only log what would be done. Defaults to false.
+ * @param {string | string[]} [options.fixers] paths to local modules exporting additional fixers, comma separated.
+ * @param {string} [options.pnpmVersion] pnpm version for the `workflow-pnpm-version` fixer to set. Defaults to the one in the `packageManager` field of package.json. Like any option not listed here, it is passed on to fixers.
+ * @param {boolean} [options.diagnostics] when checks fail, log the failing checks with their annotations and job log tails. Defaults to false.
+ * @param {boolean} [options.diagnosticsComment] also post the failing checks as a comment on the PR, updated in place on later runs. Implies `diagnostics`. Defaults to false.
+ * @param {number} [options.throttleMinutes] don't start the workflow that creates the PR if it started less than this many minutes ago. Defaults to 30.
+ * @param {string | string[]} [options.inProgressStatuses] workflow run statuses that mean it is still running, comma separated. Defaults to `in_progress,queued,requested,waiting,pending`.
+ * @param {boolean} [options.wait] keep polling a repository until its PR is merged, something needs a human, or `waitTimeout` passes. Defaults to false.
+ * @param {number} [options.waitTimeout] minutes to wait per repository. Defaults to 60.
+ * @param {string} [options.report] path to write a summary of all repositories to, rewritten after each repository.
+ * @param {string} [options.reportFormat] `json`, `markdown` or `csv`. Defaults to the one matching the extension of `report`.
+ * @param {boolean} [options.verify] after merging, or in a later run for PRs merged within `maxAgeDays`, check how the `verifyWorkflows` ran on the merge commit. Defaults to false.
+ * @param {string | string[]} [options.verifyWorkflows] workflow file names to verify, comma separated. Defaults to `build.yml,release.yml`.
+ * @param {string} [options.releaseWorkflow] workflow whose failure `revertOnFailure` reverts. Defaults to `release.yml`.
+ * @param {boolean} [options.revertOnFailure] open a PR reverting the merged PR when the release workflow failed on its merge commit. Defaults to false.
+ * @param {string} [options.record] directory to save every request and response in, one file per repository, for `replay`.
+ * @param {string} [options.replay] directory of recordings to serve every request from instead of GitHub, to reproduce a run. Also goes by the recorded repository, and writes nothing.
+ * @param {string} [options.journal] path of a file to append every change made to, one JSON object per line.
+ * @param {string} [options.undo] path of a journal to reverse instead of driving repositories: dismiss approvals, disable auto-merge and revert fix commits on PRs that are still open.
+ * @param {string | string[]} [options.canary] repositories to merge in first, as `owner/repo`, comma separated. Other repositories' PRs are only merged once every canary's PR is merged and the checks on its default branch passed.
+ * @param {number} [options.failureBudget] after this many repositories with failing checks, on the PR or on a canary's default branch, change nothing in the repositories left in the run, as with `dryRun`, but still update the tracking issue. Starts over with every invocation.
+ * @param {string} [options.stateFile] where canary progress is kept between runs. Defaults to `octoherd-driver-state.json`.
+ * @param {string} [options.trackingIssue] issue to keep a checklist of every repository's outcome in, as `owner/repo#number`. Each repository's line is updated in place, and ticked once its PR is merged.
+ */
+export async function script(
+  octokit,
+  repository,
+  {
+    majorVersion,
+    library = "@time-loop/cdk-library",
+    profile: profileName,
+    profiles: profilesPath,
+    group,
+    titlePattern,
+    maxAgeDays = 7,
+    merge = true,
+    mergeMethod = "squash",
+    closeSuperseded = false,
+    renovateRebase = "checkbox",
+    approverToken,
+    approverAppId,
+    approverPrivateKey,
+    dryRun = false,
+    fixers: fixerModules,
+    diagnostics = false,
+    diagnosticsComment = false,
+    throttleMinutes = 30,
+    inProgressStatuses = "in_progress,queued,requested,waiting,pending",
+    wait = false,
+    waitTimeout = 60,
+    report,
+    reportFormat,
+    trackingIssue,
+    record,
+    replay,
+    journal,
+    undo,
+    verify = false,
+    verifyWorkflows = "build.yml,release.yml",
+    releaseWorkflow = "release.yml",
+    revertOnFailure = false,
+    canary = [],
+    failureBudget,
+    stateFile = "octoherd-driver-state.json",
+    ...fixerOptions
+  },
+) {
+  if (record && replay) {
+    throw new Error("--record and --replay don't go together");
+  }
+  if (replay) {
+    // A replay only reproduces what happened, it leaves no trace.
+    const writers = Object.entries({ journal, report, trackingIssue })
+      .filter(([, value]) => value)
+      .map(([name]) => `--${name}`);
+    if (writers.length > 0) {
+      octokit.log.warn(
+        `--replay writes nothing, ignoring ${writers.join(", ")}`,
+      );
+    }
+    journal = undefined;
+    report = undefined;
+    trackingIssue = undefined;
+  }
+  const fixers = await loadFixers(fixerModules);
+  diagnostics = diagnostics || diagnosticsComment;
+  const canaries = [canary]
+    .flat()
+    .flatMap((name) => String(name).split(","))
+    .map((name) => name.trim())
+    .filter(Boolean);
+  for (const name of canaries) {
+    if (!/^[\w.-]+\/[\w.-]+$/.test(name)) {
+      throw new Error(`--canary "${name}" is not a repository, use owner/repo`);
+    }
+  }
+  if (wait && dryRun) {
+    // Nothing changes in a dry run, so there is nothing to wait for.
+    octokit.log.warn("--wait is ignored with --dryRun");
+    wait = false;
+  }
+  if (report) {
+    reportFormat = resolveReportFormat(report, reportFormat);
+  }
+  const trackingIssueParams = trackingIssue
+    ? parseTrackingIssue(trackingIssue)
+    : undefined;
+  if (!["checkbox", "comment", "none"].includes(renovateRebase)) {
+    throw new Error(
+      `--renovateRebase must be checkbox, comment or none, not "${renovateRebase}"`,
+    );
+  }
+
+  const profile = resolveProfile(await loadProfiles(profilesPath), {
+    profile: profileName,
+    majorVersion,
+  });
+  // Undoing a journal doesn't look for PRs, so needs no --majorVersion.
+  const matcher = undo
+    ? undefined
+    : createPrMatcher({
+        title: titlePattern ?? profile.title,
+        authors: profile.authors,
+        library,
+        group,
+        majorVersion,
+      });
+  // A custom title pattern may not be about the terms the profile searches
+  // for, so only recent PRs are looked at.
+  const search =
+    titlePattern === undefined && profile.search
+      ? profile.search
+          .replaceAll("{library}", library)
+          .replaceAll("{group}", group ?? "")
+      : undefined;
+  // Only pass the library on to fixers when the PR is about it.
+  const prLibrary = profile.title.includes("{library}") ? library : undefined;
+
+  const recording = replay
+    ? readRecording(replay, repository.full_name)
+    : undefined;
+  // The repository as it was, say archived or with another default branch.
+  if (recording?.repositoryPayload) {
+    repository = recording.repositoryPayload;
+  }
+
+  const rollout =
+    canaries.length > 0 || failureBudget !== undefined
+      ? getRollout({
+          statePath: stateFile,
+          key: [profile.name, prLibrary ?? group, majorVersion]
+            .filter(Boolean)
+            .join(" "),
+          canaries,
+          failureBudget:
+            failureBudget === undefined ? undefined : Number(failureBudget),
+          readOnly: !!replay,
+        })
+      : undefined;
+  // Once the budget is spent, nothing changes in the repositories left, but
+  // the report and the tracking issue still say where they are at.
+  const reportOnly = !dryRun && !!rollout?.budgetSpent();
+  if (reportOnly) {
+    octokit.log.warn(
+      `${repository.full_name}: failure budget of ${failureBudget} spent (${rollout?.failures.map(({ repository }) => repository).join(", ")}), only reporting`,
+    );
+    wait = false;
+  }
+  let mergeHold;
+  if (
+    rollout &&
+    canaries.length > 0 &&
+    !rollout.isCanary(repository.full_name)
+  ) {
+    const pending = rollout.pendingCanaries();
+    if (pending.length > 0) {
+      mergeHold = `waiting for canaries to be merged and green: ${pending.join(", ")}`;
+    }
+  }
+
+  const [repoOwner, repoName] = repository.full_name.split("/");
+  const baseParams = {
+    owner: repoOwner,
+    repo: repoName,
+  };
+  const plan = createPlan(octokit, {
+    repoFullName: repository.full_name,
+    dryRun,
+    reportOnly,
+    journal,
+    undo: !!undo,
+  });
+
+  /** @type {import('./lib/report.js').RepositoryOutcome} */
+  const outcome = {
+    repository: repository.full_name,
+    outcome: "error",
+    reason: "finished without an outcome",
+    dryRun: dryRun || reportOnly,
+  };
+  /**
+   * @param {import('./lib/report.js').Outcome} status
+   * @param {string} reason
+   * @param {string} [prUrl]
+   */
+  const settle = (status, reason, prUrl) => {
+    Object.assign(outcome, { outcome: status, reason });
+    if (prUrl) {
+      outcome.pr = prUrl;
+    }
+  };
+
+  const run = {
+    majorVersion,
+    maxAgeDays,
+    merge,
+    mergeMethod: parseMergeMethod(mergeMethod),
+    dryRun: dryRun || reportOnly,
+    diagnostics,
+    diagnosticsComment,
+    fixers,
+    fixerOptions,
+    profile,
+    matcher,
+    prLibrary,
+    throttleMinutes,
+    inProgressStatuses: [inProgressStatuses]
+      .flat()
+      .flatMap((status) => String(status).split(","))
+      .map((status) => status.trim())
+      .filter(Boolean),
+    approver: getApprover(octokit, {
+      token: approverToken,
+      appId: approverAppId,
+      privateKey: approverPrivateKey,
+    }),
+    search,
+    closeSuperseded,
+    renovateRebase,
+    verify,
+    verifyWorkflows: [verifyWorkflows]
+      .flat()
+      .flatMap((workflow) => String(workflow).split(","))
+      .map((workflow) => workflow.trim())
+      .filter(Boolean),
+    releaseWorkflow,
+    revertOnFailure,
+    rollout,
+    /** @type {string | undefined} why PRs are not merged yet, see `--canary` */
+    mergeHold,
+    /** @type {Set<string>} URLs of the PRs closed as superseded or duplicates */
+    closedPullRequests: new Set(),
+    baseParams,
+    plan,
+    settle,
+    /** @type {number | undefined} the workflow run we dispatched or re-ran */
+    startedRunId: undefined,
+    /** @type {string[] | undefined} looked up the first time a PR may be merged */
+    allowedMergeMethods: undefined,
+    /** @type {import('./lib/repository-config.js').RepositoryConfig | undefined} read on the first pass */
+    repositoryConfig: undefined,
+  };
+
+  if (record) {
+    startRecording(octokit, record, repository);
+  }
+  if (recording) {
+    startReplay(octokit, replay, recording);
+  }
+  const usage = meterRateLimit(octokit);
+  try {
+    if (undo) {
+      await undoRepository(octokit, repository, run, undo);
+      return;
+    }
+
+    const deadline = currentTime() + waitTimeout * 60 * 1000;
+    for (let poll = 1; ; poll++) {
+      await driveRepository(octokit, repository, run);
+
+      // A PR merged just now is verified on the next poll.
+      const waitable =
+        waitableOutcomes.includes(outcome.outcome) ||
+        (verify && outcome.outcome === "merged");
+      if (!wait || !waitable) {
+        break;
+      }
+      if (
+        !(await waitForNextPoll(octokit, {
+          repoFullName: repository.full_name,
+          poll,
+          deadline,
+          waitingFor: outcome.reason,
+        }))
+      ) {
+        octokit.log.warn(
+          `${repository.full_name}: gave up waiting after ${waitTimeout} minutes: ${outcome.reason}`,
+        );
+        break;
+      }
+    }
+
+    if (rollout?.isCanary(repository.full_name) && !dryRun && !reportOnly) {
+      await updateCanary(octokit, repository, run, outcome);
+    }
   } catch (e) {
     octokit.log.error(e);
+    settle("error", e.message);
+  } finally {
+    if (rollout && failingOutcomes.includes(outcome.outcome)) {
+      rollout.recordFailure(repository.full_name, outcome.reason);
+    }
+    if (run.closedPullRequests.size > 0) {
+      outcome.closed = [...run.closedPullRequests];
+    }
+    if (run.repositoryConfig) {
+      outcome.config =
+        describeRepositoryConfig(run.repositoryConfig) || undefined;
+    }
+    if (trackingIssueParams) {
+      try {
+        await updateTrackingIssue(octokit, {
+          issue: trackingIssueParams,
+          outcome,
+          plan: reportOnly
+            ? createPlan(octokit, {
+                repoFullName: repository.full_name,
+                dryRun,
+                journal,
+                undo: !!undo,
+              })
+            : plan,
+        });
+      } catch (error) {
+        // The outcome itself is already known, don't turn it into an error.
+        octokit.log.warn(
+          `${repository.full_name}: could not update the tracking issue: ${error.message}`,
+        );
+      }
+    }
+    plan.print();
+    octokit.log.info(
+      `${repository.full_name}: rate limit cost: ${formatRateLimitUsage(usage)}`,
+    );
+    endSession(outcome);
+    if (recording?.outcome) {
+      const { outcome: recorded, reason } = recording.outcome;
+      if (recorded === outcome.outcome && reason === outcome.reason) {
+        octokit.log.info(
+          `${repository.full_name}: replay ended as recorded: ${recorded}`,
+        );
+      } else {
+        octokit.log.warn(
+          `${repository.full_name}: replay ended with ${outcome.outcome} (${outcome.reason}), the recording with ${recorded} (${reason})`,
+        );
+      }
+    }
+    recordOutcome(outcome);
+    if (report) {
+      writeReport(report, reportFormat);
+    }
   }
 }
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { summarizeChecks } from "../lib/checks.js";
+
+/**
+ * @param {string} name
+ * @param {string} conclusion
+ * @param {string} [status]
+ */
+const checkRun = (name, conclusion, status = "COMPLETED") => ({
+  __typename: "CheckRun",
+  name,
+  status,
+  conclusion,
+});
+
+/**
+ * @param {string} context
+ * @param {string} state
+ */
+const statusContext = (context, state) => ({
+  __typename: "StatusContext",
+  context,
+  state,
+});
+
+test("judges only required checks", () => {
+  assert.deepEqual(
+    summarizeChecks({
+      rollupState: "FAILURE",
+      checks: [checkRun("build", "SUCCESS"), checkRun("lint", "FAILURE")],
+      required: new Set(["build"]),
+    }),
+    { state: "SUCCESS", failedRequired: [], failedOptional: ["lint"] },
+  );
+});
+
+test("counts required checks that haven't reported as pending", () => {
+  assert.deepEqual(
+    summarizeChecks({
+      rollupState: "SUCCESS",
+      checks: [
+        checkRun("build", "SUCCESS"),
+        checkRun("test", null, "IN_PROGRESS"),
+      ],
+      required: new Set(["build", "test", "deploy"]),
+    }).state,
+    "PENDING",
+  );
+});
+
+test("fails on a failed required check, even with others pending", () => {
+  assert.deepEqual(
+    summarizeChecks({
+      rollupState: "FAILURE",
+      checks: [
+        statusContext("ci/build", "ERROR"),
+        statusContext("ci/test", "PENDING"),
+      ],
+      required: new Set(["ci/build", "ci/test"]),
+    }),
+    { state: "FAILURE", failedRequired: ["ci/build"], failedOptional: [] },
+  );
+});
+
+test("takes any successful run of a check that ran more than once", () => {
+  assert.equal(
+    summarizeChecks({
+      rollupState: "FAILURE",
+      checks: [
+        checkRun("build", "FAILURE"),
+        checkRun("build", "SUCCESS"),
+        checkRun("build", "FAILURE"),
+      ],
+      required: new Set(["build"]),
+    }).state,
+    "SUCCESS",
+  );
+});
+
+test("treats skipped and neutral check runs as passed", () => {
+  assert.equal(
+    summarizeChecks({
+      rollupState: "SUCCESS",
+      checks: [checkRun("build", "SKIPPED"), checkRun("test", "NEUTRAL")],
+      required: new Set(["build", "test"]),
+    }).state,
+    "SUCCESS",
+  );
+});
+
+test("falls back to the rollup without required checks", () => {
+  assert.deepEqual(
+    summarizeChecks({
+      rollupState: "FAILURE",
+      checks: [
+        checkRun("lint", "FAILURE"),
+        statusContext("ci/build", "SUCCESS"),
+      ],
+      required: new Set(),
+    }),
+    { state: "FAILURE", failedRequired: ["lint"], failedOptional: [] },
+  );
+});
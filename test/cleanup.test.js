@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findStalePullRequests } from "../lib/cleanup.js";
+import { createPrMatcher, selectPullRequests } from "../lib/matching.js";
+import { builtInProfiles } from "../lib/profiles.js";
+
+const renovate = builtInProfiles.find(({ name }) => name === "renovate");
+const log = { info() {}, debug() {} };
+
+/**
+ * @param {number} number
+ * @param {number} major
+ * @param {object} [options]
+ * @param {string} [options.state]
+ * @param {string} [options.login]
+ * @param {string} [options.mergedAt]
+ */
+const pullRequest = (
+  number,
+  major,
+  { state = "open", login = "renovate[bot]", mergedAt } = {},
+) => ({
+  number,
+  title: `fix(deps): update dependency foo to v${major}`,
+  state,
+  merged_at: mergedAt ?? null,
+  html_url: `https://github.com/o/r/pull/${number}`,
+  user: { login },
+});
+
+/**
+ * @param {any[]} prs - newest first
+ * @param {string} majorVersion
+ * @param {string[]} [authors]
+ */
+function findStale(prs, majorVersion, authors) {
+  const matcher = createPrMatcher({
+    title: renovate.title,
+    library: "foo",
+    majorVersion,
+    authors,
+  });
+  const selected = selectPullRequests({ log }, "o/r", prs, matcher);
+  const { keep, stale } = findStalePullRequests(prs, selected, matcher);
+  return {
+    keep: keep?.number,
+    stale: stale.map(({ pr, kind, reason }) => [pr.number, kind, reason]),
+  };
+}
+
+test("finds older majors and duplicates of the PR we drive", () => {
+  assert.deepEqual(
+    findStale(
+      [
+        pullRequest(4, 11),
+        pullRequest(3, 11),
+        pullRequest(2, 10),
+        pullRequest(1, 9, { state: "closed" }),
+      ],
+      "v11",
+    ),
+    {
+      keep: 4,
+      stale: [
+        [3, "duplicate", "duplicate of #4"],
+        [2, "superseded", "superseded by #4, which updates to v11"],
+      ],
+    },
+  );
+});
+
+test("keeps a merged PR, and closes what it superseded", () => {
+  assert.deepEqual(
+    findStale(
+      [
+        pullRequest(3, 11, {
+          state: "closed",
+          mergedAt: "2026-10-19T00:00:00Z",
+        }),
+        pullRequest(2, 10),
+      ],
+      "v11",
+    ),
+    {
+      keep: 3,
+      stale: [[2, "superseded", "superseded by #3, which updates to v11"]],
+    },
+  );
+});
+
+test("leaves newer majors and PRs by other authors open", () => {
+  assert.deepEqual(
+    findStale(
+      [
+        pullRequest(3, 12),
+        pullRequest(2, 11),
+        pullRequest(1, 10, { login: "someone" }),
+      ],
+      "v11",
+      ["renovate[bot]"],
+    ),
+    { keep: 2, stale: [] },
+  );
+});
+
+test("has nothing to compare against without an open or merged PR", () => {
+  assert.deepEqual(
+    findStale(
+      [pullRequest(2, 11, { state: "closed" }), pullRequest(1, 10)],
+      "v11",
+    ),
+    { keep: undefined, stale: [] },
+  );
+});
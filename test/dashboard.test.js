@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createPrMatcher } from "../lib/matching.js";
+import { builtInProfiles } from "../lib/profiles.js";
+import {
+  parseDependencyDashboard,
+  requestFromDependencyDashboard,
+} from "../lib/dashboard.js";
+
+const renovate = builtInProfiles.find(({ name }) => name === "renovate");
+const log = { info() {} };
+
+const body = `This issue lists Renovate updates and detected dependencies.
+
+## Rate-Limited
+
+- [ ] <!-- unlimit-branch=renovate/major-foo -->fix(deps): update dependency foo to v2
+- [x] <!-- unlimit-branch=renovate/major-bar -->fix(deps): update dependency bar to v3
+
+## Open
+
+- [ ] <!-- rebase-branch=renovate/baz -->[fix(deps): update dependency baz to v4](../pull/5)
+
+## Ignored or Blocked
+
+- [ ] <!-- recreate-branch=renovate/major-qux -->fix(deps): update dependency qux to v5
+
+- [ ] <!-- manual job -->Check this box to trigger a request for Renovate to run again on this repository
+`;
+
+/**
+ * Ask the dashboard above for `library` at `majorVersion`, and return the
+ * outcome and the body the dashboard was updated to, if it was.
+ *
+ * @param {string} library
+ * @param {string} majorVersion
+ * @param {any[]} [issues]
+ */
+async function request(library, majorVersion, issues) {
+  let updated;
+  const octokit = {
+    log,
+    async paginate() {
+      return (
+        issues ?? [
+          {
+            number: 1,
+            title: "Dependency Dashboard",
+            body,
+            html_url: "https://github.com/o/r/issues/1",
+          },
+        ]
+      );
+    },
+  };
+  const plan = {
+    async request(route, parameters) {
+      updated = parameters.body;
+    },
+  };
+  const outcome = await requestFromDependencyDashboard(octokit, {
+    baseParams: { owner: "o", repo: "r" },
+    matcher: createPrMatcher({ title: renovate.title, library, majorVersion }),
+    repoFullName: "o/r",
+    plan,
+  });
+  return { outcome, updated };
+}
+
+test("parseDependencyDashboard() reads the checkboxes of updates", () => {
+  const entries = parseDependencyDashboard(body);
+  assert.deepEqual(
+    entries.map(({ checked, action, branch, title }) => ({
+      checked,
+      action,
+      branch,
+      title,
+    })),
+    [
+      {
+        checked: false,
+        action: "unlimit-branch",
+        branch: "renovate/major-foo",
+        title: "fix(deps): update dependency foo to v2",
+      },
+      {
+        checked: true,
+        action: "unlimit-branch",
+        branch: "renovate/major-bar",
+        title: "fix(deps): update dependency bar to v3",
+      },
+      {
+        checked: false,
+        action: "rebase-branch",
+        branch: "renovate/baz",
+        title: "fix(deps): update dependency baz to v4",
+      },
+      {
+        checked: false,
+        action: "recreate-branch",
+        branch: "renovate/major-qux",
+        title: "fix(deps): update dependency qux to v5",
+      },
+    ],
+  );
+});
+
+test("ticks the update's checkbox and nothing else", async () => {
+  const { outcome, updated } = await request("foo", "v2");
+  assert.deepEqual(outcome, {
+    outcome: "dashboard-requested",
+    reason:
+      '"fix(deps): update dependency foo to v2" was rate-limited, requested on the Dependency Dashboard',
+    url: "https://github.com/o/r/issues/1",
+  });
+  assert.equal(
+    updated,
+    body.replace(
+      "- [ ] <!-- unlimit-branch=renovate/major-foo",
+      "- [x] <!-- unlimit-branch=renovate/major-foo",
+    ),
+  );
+});
+
+test("doesn't tick again what is already requested", async () => {
+  const { outcome, updated } = await request("bar", "v3");
+  assert.equal(outcome?.outcome, "dashboard-requested");
+  assert.match(outcome?.reason ?? "", /already requested/);
+  assert.equal(updated, undefined);
+});
+
+test("only reports ignored or blocked updates", async () => {
+  const { outcome, updated } = await request("qux", "v5");
+  assert.equal(outcome?.outcome, "dashboard-blocked");
+  assert.equal(updated, undefined);
+});
+
+test("can't help with updates it doesn't list, or without a dashboard", async () => {
+  assert.equal((await request("foo", "v3")).outcome, undefined);
+  assert.equal((await request("baz", "v4")).outcome, undefined);
+  assert.equal((await request("foo", "v2", [])).outcome, undefined);
+});
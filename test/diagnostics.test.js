@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { formatDiagnosticsForLog } from "../lib/diagnostics.js";
+
+test("the log shows annotations and the last lines of the job log", () => {
+  const logTail = ["1", "2", "3", "4", "5", "6", "Error: boom"];
+
+  assert.equal(
+    formatDiagnosticsForLog([
+      {
+        name: "build",
+        conclusion: "failure",
+        url: "https://github.com/o/r/runs/1",
+        annotations: ["src/index.ts:3 Type 'string' is not assignable"],
+        logTail,
+      },
+      {
+        name: "ci/circleci",
+        conclusion: "error",
+        annotations: [],
+        logTail: [],
+      },
+    ]),
+    [
+      "  ✗ build (failure) https://github.com/o/r/runs/1",
+      "      src/index.ts:3 Type 'string' is not assignable",
+      "      | 3",
+      "      | 4",
+      "      | 5",
+      "      | 6",
+      "      | Error: boom",
+      "  ✗ ci/circleci (error)",
+    ].join("\n"),
+  );
+});
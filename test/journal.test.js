@@ -0,0 +1,225 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import {
+  appendJournalEntry,
+  gitBlobSha,
+  journalParameters,
+  readJournal,
+  undoJournalEntries,
+} from "../lib/journal.js";
+
+const baseParams = { owner: "o", repo: "r" };
+
+/**
+ * @param {string} content
+ */
+const base64 = (content) => Buffer.from(content).toString("base64");
+
+/**
+ * An octokit that answers GETs from `files` on the branch head, and a plan
+ * that keeps what it is asked to do.
+ *
+ * @param {object} state
+ * @param {Record<string, string>} [state.files] - path to content at the head of the branch
+ * @param {Record<string, string>} [state.blobs] - SHA to content
+ * @param {string} [state.prState]
+ * @param {string} [state.reviewState]
+ * @param {boolean} [state.autoMerge]
+ */
+function fakeGitHub({
+  files = {},
+  blobs = {},
+  prState = "open",
+  reviewState = "APPROVED",
+  autoMerge = true,
+}) {
+  const calls = [];
+  const octokit = {
+    async request(route, parameters) {
+      switch (route) {
+        case "GET /repos/{owner}/{repo}/pulls/{pull_number}":
+          return { data: { state: prState, merged_at: null } };
+        case "GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews/{review_id}":
+          return { data: { state: reviewState } };
+        case "GET /repos/{owner}/{repo}/git/ref/{ref}":
+          return { data: { object: { sha: "head" } } };
+        case "GET /repos/{owner}/{repo}/contents/{path}":
+          if (!(parameters.path in files)) {
+            throw Object.assign(new Error("Not Found"), { status: 404 });
+          }
+          return { data: { content: base64(files[parameters.path]) } };
+        case "GET /repos/{owner}/{repo}/git/blobs/{file_sha}":
+          return { data: { content: base64(blobs[parameters.file_sha]) } };
+      }
+      throw new Error(`unexpected ${route}`);
+    },
+    async graphql() {
+      return {
+        node: {
+          number: 1,
+          state: prState.toUpperCase(),
+          autoMergeRequest: autoMerge ? { enabledAt: "then" } : null,
+        },
+      };
+    },
+  };
+  const plan = {
+    async request(route, parameters) {
+      calls.push({ route, parameters });
+    },
+    async graphql(mutation) {
+      calls.push({ mutation: mutation.match(/mutation (\w+)/)?.[1] });
+    },
+    async commitFiles(baseParams, commit) {
+      calls.push({ commit });
+    },
+  };
+  return { octokit, plan, calls };
+}
+
+const approval = {
+  time: "t",
+  repository: "o/r",
+  pr: 1,
+  endpoint: "POST /repos/o/r/pulls/1/reviews",
+  route: "POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews",
+  description: "approve #1 at abc",
+  parameters: { pull_number: 1, event: "APPROVE", commit_id: "abc" },
+  result: { id: 7 },
+};
+const autoMerge = {
+  time: "t",
+  repository: "o/r",
+  pr: 1,
+  pullRequestId: "PR_1",
+  endpoint: "POST /graphql enableAutoMerge",
+  description: "enable auto-merge (squash) on #1",
+};
+const fixCommit = {
+  time: "t",
+  repository: "o/r",
+  pr: 1,
+  endpoint: "PATCH /repos/o/r/git/refs/heads/renovate/b",
+  description: 'commit "chore: fix" to renovate/b',
+  branch: "renovate/b",
+  parent: "parent",
+  commit: "c0ffee1234",
+  files: [
+    {
+      path: "changed.txt",
+      before: gitBlobSha("old"),
+      after: gitBlobSha("new"),
+    },
+    { path: "created.txt", before: null, after: gitBlobSha("created") },
+    { path: "edited.txt", before: gitBlobSha("old"), after: gitBlobSha("new") },
+  ],
+};
+
+test("gitBlobSha() hashes like git hash-object", () => {
+  // printf 'hello\n' | git hash-object --stdin
+  assert.equal(
+    gitBlobSha("hello\n"),
+    "ce013625030ba8dba906f756967f9e9ca394464a",
+  );
+});
+
+test("journalParameters() leaves out the repository and bodies", () => {
+  assert.deepEqual(
+    journalParameters({ owner: "o", repo: "r", body: "long", pull_number: 1 }),
+    { pull_number: 1 },
+  );
+});
+
+test("readJournal() returns one repository's entries, oldest first", () => {
+  const path = join(mkdtempSync(join(tmpdir(), "journal-")), "changes.ndjson");
+  appendJournalEntry(path, { ...approval, repository: "o/r" });
+  appendJournalEntry(path, { ...approval, repository: "o/other" });
+  appendJournalEntry(path, { ...autoMerge, repository: "o/r" });
+  assert.deepEqual(
+    readJournal(path, "o/r").map(({ description }) => description),
+    [approval.description, autoMerge.description],
+  );
+});
+
+test("undoes approvals, auto-merge and fix commits, newest first", async () => {
+  const { octokit, plan, calls } = fakeGitHub({
+    files: {
+      "changed.txt": "new",
+      "created.txt": "created",
+      "edited.txt": "edited since",
+    },
+    blobs: { [gitBlobSha("old")]: "old" },
+  });
+  const merge = {
+    ...autoMerge,
+    endpoint: "PUT /repos/o/r/pulls/1/merge",
+    description: "squash merge #1",
+  };
+  const { undone, skipped } = await undoJournalEntries(octokit, {
+    entries: [approval, autoMerge, fixCommit, merge],
+    baseParams,
+    plan: plan,
+  });
+
+  assert.deepEqual(undone, [
+    "reverted commit c0ffee1 on renovate/b (changed.txt, created.txt)",
+    "disabled auto-merge on #1",
+    "dismissed approval of #1",
+  ]);
+  assert.deepEqual(skipped, ["squash merge #1"]);
+  assert.deepEqual(calls[0].commit.files, [
+    { path: "changed.txt", before: "new", after: "old" },
+    { path: "created.txt", before: "created", after: null },
+  ]);
+  assert.equal(calls[0].commit.parent, "head");
+  assert.match(
+    calls[0].commit.message,
+    /^Revert "chore: fix"\n\nThis reverts commit c0ffee1234\.$/,
+  );
+  assert.deepEqual(calls[1], { mutation: "disableAutoMerge" });
+  assert.equal(calls[2].parameters.review_id, 7);
+});
+
+test("finds nothing left to undo the second time", async () => {
+  const { octokit, plan, calls } = fakeGitHub({
+    files: { "changed.txt": "old", "edited.txt": "edited since" },
+    reviewState: "DISMISSED",
+    autoMerge: false,
+  });
+  const revert = {
+    ...fixCommit,
+    description: 'commit "Revert" to renovate/b',
+    undo: true,
+  };
+  const { undone, skipped } = await undoJournalEntries(octokit, {
+    entries: [approval, autoMerge, fixCommit, revert],
+    baseParams,
+    plan: plan,
+  });
+  assert.deepEqual(undone, [
+    "commit c0ffee1 on renovate/b: its changes are gone already",
+    "auto-merge on #1: already disabled",
+    "approval of #1: already dismissed",
+  ]);
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(calls, []);
+});
+
+test("leaves closed PRs alone", async () => {
+  const { octokit, plan, calls } = fakeGitHub({ prState: "closed" });
+  const { undone } = await undoJournalEntries(octokit, {
+    entries: [approval, autoMerge, fixCommit],
+    baseParams,
+    plan: plan,
+  });
+  assert.deepEqual(undone, [
+    "commit c0ffee1 on #1: PR is closed, skipped",
+    "auto-merge on #1: PR is closed, skipped",
+    "approval of #1: PR is closed, skipped",
+  ]);
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createPrMatcher,
+  parseMajorVersion,
+  selectPullRequests,
+} from "../lib/matching.js";
+import { builtInProfiles } from "../lib/profiles.js";
+
+const renovate = builtInProfiles.find(({ name }) => name === "renovate");
+const library = "@time-loop/cdk-library";
+
+/**
+ * @param {number} major
+ * @param {string} [state]
+ */
+const pullRequest = (major, state = "open") => ({
+  title: `fix(deps): update dependency ${library} to v${major}`,
+  state,
+  html_url: `https://github.com/o/r/pull/${major}`,
+  user: { login: "renovate[bot]" },
+});
+
+const log = { info() {}, debug() {} };
+
+test("parseMajorVersion() reads majors, ranges and latest", () => {
+  assert.deepEqual(parseMajorVersion("v11"), { operator: "=", major: 11 });
+  assert.deepEqual(parseMajorVersion("11"), { operator: "=", major: 11 });
+  assert.deepEqual(parseMajorVersion(">= v11"), { operator: ">=", major: 11 });
+  assert.deepEqual(parseMajorVersion("<v13"), { operator: "<", major: 13 });
+  assert.deepEqual(parseMajorVersion("latest"), {
+    operator: "latest",
+    major: 0,
+  });
+  assert.throws(() => parseMajorVersion("v11.2"), /is not a major version/);
+});
+
+test("matches the library at the major version only", () => {
+  const matcher = createPrMatcher({
+    title: renovate.title,
+    library,
+    majorVersion: "v11",
+  });
+  assert.equal(matcher.matchTitle(pullRequest(11).title).matched, true);
+  assert.equal(
+    matcher.matchTitle(`fix(deps): update dependency ${library} to v11.2.0`)
+      .matched,
+    true,
+  );
+  assert.deepEqual(matcher.matchTitle(pullRequest(12).title), {
+    matched: false,
+    related: true,
+    reason: "v12 is not v11",
+    major: 12,
+  });
+  assert.equal(
+    matcher.matchTitle(`fix(deps): update dependency ${library}-extra to v11`)
+      .matched,
+    false,
+  );
+  assert.equal(
+    matcher.matchTitle("fix(deps): update dependency other to v11").related,
+    false,
+  );
+});
+
+test("escapes the library in the title pattern", () => {
+  const matcher = createPrMatcher({
+    title: renovate.title,
+    library: "a.b",
+    majorVersion: "v1",
+  });
+  assert.equal(
+    matcher.matchTitle("fix(deps): update dependency aXb to v1").matched,
+    false,
+  );
+});
+
+test("requires --majorVersion for titles with a major", () => {
+  assert.throws(
+    () => createPrMatcher({ title: renovate.title, library }),
+    /--majorVersion is required/,
+  );
+  assert.doesNotThrow(() => createPrMatcher({ title: "^chore: release" }));
+});
+
+test("rejects PRs opened by someone other than the authors", () => {
+  const matcher = createPrMatcher({
+    title: renovate.title,
+    library,
+    majorVersion: "v11",
+    authors: ["dependabot[bot]"],
+  });
+  assert.deepEqual(matcher.match(pullRequest(11)), {
+    matched: false,
+    related: true,
+    reason: "opened by renovate[bot], not dependabot[bot]",
+    major: 11,
+  });
+});
+
+test("selectPullRequests() drives the highest major with an open PR", () => {
+  const matcher = createPrMatcher({
+    title: renovate.title,
+    library,
+    majorVersion: ">=v11",
+  });
+  const selected = selectPullRequests(
+    { log },
+    "o/r",
+    [pullRequest(13, "closed"), pullRequest(12), pullRequest(11)],
+    matcher,
+  );
+  assert.deepEqual(
+    selected.map(({ pr, major }) => [pr.html_url, major]),
+    [["https://github.com/o/r/pull/12", 12]],
+  );
+});
+
+test("selectPullRequests() falls back to the highest major without open PRs", () => {
+  const matcher = createPrMatcher({
+    title: renovate.title,
+    library,
+    majorVersion: "latest",
+  });
+  const selected = selectPullRequests(
+    { log },
+    "o/r",
+    [pullRequest(12, "closed"), pullRequest(13, "closed")],
+    matcher,
+  );
+  assert.deepEqual(
+    selected.map(({ major }) => major),
+    [13],
+  );
+});
+
+test("selectPullRequests() keeps every PR for an exact major", () => {
+  const matcher = createPrMatcher({
+    title: renovate.title,
+    library,
+    majorVersion: "v11",
+  });
+  const selected = selectPullRequests(
+    { log },
+    "o/r",
+    [pullRequest(11), pullRequest(11, "closed"), pullRequest(12)],
+    matcher,
+  );
+  assert.equal(selected.length, 2);
+});
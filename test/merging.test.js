@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  describeMergeQueueEntry,
+  getAllowedMergeMethods,
+  getMergeQueueEjection,
+  parseMergeMethod,
+} from "../lib/merging.js";
+
+test("parseMergeMethod() accepts squash, merge and rebase in any case", () => {
+  assert.equal(parseMergeMethod("Squash"), "squash");
+  assert.equal(parseMergeMethod("rebase"), "rebase");
+  assert.throws(
+    () => parseMergeMethod("fast-forward"),
+    /Unknown merge method "fast-forward", use one of: squash, merge, rebase/,
+  );
+});
+
+test("getAllowedMergeMethods() reads the repository settings", async () => {
+  const octokit = {
+    async request() {
+      return {
+        data: {
+          allow_squash_merge: false,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+        },
+      };
+    },
+  };
+  assert.deepEqual(
+    await getAllowedMergeMethods(
+      octokit,
+      {},
+      {
+        allow_squash_merge: true,
+        allow_merge_commit: false,
+        allow_rebase_merge: false,
+      },
+    ),
+    ["squash"],
+  );
+  // Listed repositories leave the settings out.
+  assert.deepEqual(await getAllowedMergeMethods(octokit, {}, {}), [
+    "merge",
+    "rebase",
+  ]);
+});
+
+test("describeMergeQueueEntry() says where the PR is in the queue", () => {
+  assert.equal(
+    describeMergeQueueEntry({ position: 2, state: "AWAITING_CHECKS" }),
+    "position 2 in the merge queue (AWAITING_CHECKS)",
+  );
+});
+
+test("getMergeQueueEjection() reports an ejection nothing was pushed after", () => {
+  /**
+   * @param {any[]} events
+   * @param {string} committedDate
+   */
+  const pullRequest = (events, committedDate) => ({
+    timelineItems: { nodes: events },
+    commits: { nodes: [{ commit: { committedDate } }] },
+  });
+  const removed = {
+    __typename: "RemovedFromMergeQueueEvent",
+    createdAt: "2026-10-19T12:00:00Z",
+    reason: "failed checks",
+  };
+  assert.equal(
+    getMergeQueueEjection(pullRequest([removed], "2026-10-19T11:00:00Z")),
+    "failed checks",
+  );
+  assert.equal(
+    getMergeQueueEjection(
+      pullRequest([{ ...removed, reason: "" }], "2026-10-19T11:00:00Z"),
+    ),
+    "no reason given",
+  );
+  assert.equal(
+    getMergeQueueEjection(pullRequest([removed], "2026-10-19T13:00:00Z")),
+    undefined,
+  );
+  assert.equal(
+    getMergeQueueEjection(
+      pullRequest(
+        [{ __typename: "AddedToMergeQueueEvent" }],
+        "2026-10-19T11:00:00Z",
+      ),
+    ),
+    undefined,
+  );
+});
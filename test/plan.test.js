@@ -0,0 +1,204 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import { Octokit } from "@octoherd/cli";
+
+import { gitBlobSha } from "../lib/journal.js";
+import { createPlan } from "../lib/plan.js";
+
+const baseParams = { owner: "o", repo: "r" };
+const trees = {
+  root: [
+    { path: "bin", type: "tree", sha: "bin" },
+    { path: "README.md", type: "blob", mode: "100644" },
+  ],
+  bin: [{ path: "build.sh", type: "blob", mode: "100755" }],
+};
+
+/**
+ * An Octokit on a fake repository with the `trees` above, that keeps what it
+ * is sent, and its log.
+ */
+function createOctokit() {
+  const sent = [];
+  const logged = [];
+  const octokit = new Octokit({
+    auth: "token",
+    request: {
+      async fetch(url, { method, body }) {
+        const pathname = decodeURIComponent(new URL(url).pathname);
+        sent.push({ method, pathname, body: body && JSON.parse(body) });
+        const tree = pathname.match(/\/git\/trees\/(\w+)$/)?.[1];
+        const data = tree
+          ? { tree: trees[tree] }
+          : pathname.endsWith("/git/commits/parent")
+            ? { tree: { sha: "root" } }
+            : {
+                sha: `${method} ${pathname}`,
+                html_url: "https://github.com/o/r",
+              };
+        return new Response(JSON.stringify(data), {
+          headers: { "content-type": "application/json" },
+        });
+      },
+    },
+    // Mutations are spaced a second apart otherwise.
+    throttle: { enabled: false },
+  });
+  octokit.log.info = (message) => logged.push(message);
+  return { octokit, sent, logged };
+}
+
+const commit = {
+  branch: "renovate/b",
+  parent: "parent",
+  message: "chore: fix\n\nbody",
+  pullNumber: 9,
+  files: [
+    { path: "bin/build.sh", before: "echo 1\n", after: "echo 2\n" },
+    { path: "README.md", before: "old\n", after: null },
+    { path: "docs/new.md", before: null, after: "new\n" },
+  ],
+};
+
+test("a dry run plans changes and refuses to send any", async () => {
+  const { octokit, sent, logged } = createOctokit();
+  const plan = createPlan(octokit, { repoFullName: "o/r", dryRun: true });
+
+  assert.equal(
+    await plan.request(
+      "PUT /repos/{owner}/{repo}/pulls/{pull_number}/merge",
+      { ...baseParams, pull_number: 9 },
+      "squash merge #9",
+    ),
+    undefined,
+  );
+  await plan.graphql(
+    "mutation enableAutoMerge($pullRequestId: ID!) { x }",
+    { pullRequestId: "PR_9" },
+    "enable auto-merge on #9",
+  );
+  await plan.commitFiles(baseParams, commit);
+  await assert.rejects(
+    octokit.request("POST /repos/{owner}/{repo}/issues", baseParams),
+    /dry run: refusing to send POST \/repos\/{owner}\/{repo}\/issues/,
+  );
+  assert.deepEqual(sent, []);
+
+  plan.print();
+  const [printed] = logged;
+  assert.match(
+    printed,
+    /^o\/r: dry run, 3 planned change\(s\):\n  1\. squash merge #9\n     PUT \/repos\/o\/r\/pulls\/9\/merge\n/,
+  );
+  assert.match(
+    printed,
+    /POST \/graphql enableAutoMerge\({"pullRequestId":"PR_9"}\)/,
+  );
+  assert.match(printed, /3\. commit "chore: fix" to renovate\/b/);
+  assert.match(printed, /--- a\/bin\/build.sh\n\+\+\+ b\/bin\/build.sh/);
+  assert.match(printed, /--- a\/README.md\n\+\+\+ \/dev\/null/);
+  assert.match(printed, /--- \/dev\/null\n\+\+\+ b\/docs\/new.md/);
+});
+
+test("only reporting plans changes, but lets others through", async () => {
+  const { octokit, sent, logged } = createOctokit();
+  const plan = createPlan(octokit, {
+    repoFullName: "o/r",
+    dryRun: false,
+    reportOnly: true,
+  });
+  await plan.request(
+    "PUT /repos/{owner}/{repo}/pulls/{pull_number}/merge",
+    { ...baseParams, pull_number: 9 },
+    "squash merge #9",
+  );
+  assert.deepEqual(sent, []);
+  await octokit.request("PATCH /repos/{owner}/{repo}/issues/{issue_number}", {
+    owner: "o",
+    repo: "upgrades",
+    issue_number: 1,
+  });
+  assert.equal(sent.length, 1);
+  plan.print();
+  assert.match(logged[0], /^o\/r: only reporting, 1 planned change\(s\):/);
+});
+
+test("sends changes and journals them", async () => {
+  const { octokit, sent } = createOctokit();
+  const journal = join(mkdtempSync(join(tmpdir(), "plan-")), "changes.ndjson");
+  const plan = createPlan(octokit, {
+    repoFullName: "o/r",
+    dryRun: false,
+    journal,
+  });
+
+  await plan.request(
+    "POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews",
+    { ...baseParams, pull_number: 9, event: "APPROVE", body: "LGTM" },
+    "approve #9",
+  );
+  await plan.commitFiles(baseParams, commit);
+
+  const tree = sent.find(({ pathname }) => pathname.endsWith("/git/trees"));
+  assert.deepEqual(tree?.body, {
+    base_tree: "root",
+    tree: [
+      {
+        path: "bin/build.sh",
+        mode: "100755",
+        type: "blob",
+        sha: "POST /repos/o/r/git/blobs",
+      },
+      { path: "README.md", mode: "100644", type: "blob", sha: null },
+      {
+        path: "docs/new.md",
+        mode: "100644",
+        type: "blob",
+        sha: "POST /repos/o/r/git/blobs",
+      },
+    ],
+  });
+  const ref = sent.at(-1);
+  assert.equal(ref?.method, "PATCH");
+  assert.equal(ref?.pathname, "/repos/o/r/git/refs/heads/renovate/b");
+
+  const entries = readFileSync(journal, "utf-8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.deepEqual(
+    entries.map(({ repository, pr, endpoint, parameters }) => ({
+      repository,
+      pr,
+      endpoint,
+      parameters,
+    })),
+    [
+      {
+        repository: "o/r",
+        pr: 9,
+        endpoint: "POST /repos/o/r/pulls/9/reviews",
+        parameters: { pull_number: 9, event: "APPROVE" },
+      },
+      {
+        repository: "o/r",
+        pr: 9,
+        endpoint: "PATCH /repos/o/r/git/refs/heads/renovate/b",
+        parameters: undefined,
+      },
+    ],
+  );
+  assert.deepEqual(entries[1].files, [
+    {
+      path: "bin/build.sh",
+      before: gitBlobSha("echo 1\n"),
+      after: gitBlobSha("echo 2\n"),
+    },
+    { path: "README.md", before: gitBlobSha("old\n"), after: null },
+    { path: "docs/new.md", before: null, after: gitBlobSha("new\n") },
+  ]);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import { loadProfiles, resolveProfile } from "../lib/profiles.js";
+
+/**
+ * @param {unknown} profiles
+ */
+function writeProfiles(profiles) {
+  const path = join(mkdtempSync(join(tmpdir(), "profiles-")), "profiles.json");
+  writeFileSync(path, JSON.stringify(profiles));
+  return path;
+}
+
+test("resolveProfile() picks the profile by --profile or --majorVersion", async () => {
+  const profiles = await loadProfiles();
+  assert.equal(
+    resolveProfile(profiles, { majorVersion: "v11" }).name,
+    "renovate",
+  );
+  assert.equal(resolveProfile(profiles, { majorVersion: "all" }).name, "all");
+  assert.equal(
+    resolveProfile(profiles, { majorVersion: "projen" }).name,
+    "projen",
+  );
+  assert.equal(
+    resolveProfile(profiles, { profile: "dependabot", majorVersion: "v2" })
+      .name,
+    "dependabot",
+  );
+  assert.throws(
+    () => resolveProfile(profiles, { profile: "nope" }),
+    /Unknown profile "nope", use one of: renovate, all/,
+  );
+});
+
+test("loadProfiles() adds profiles from an object keyed by name", async () => {
+  const profiles = await loadProfiles(
+    writeProfiles({ release: { title: "^chore: release" } }),
+  );
+  assert.deepEqual(profiles.get("release"), {
+    name: "release",
+    title: "^chore: release",
+    workflow: null,
+    maxAge: false,
+    dashboard: false,
+  });
+  assert.ok(profiles.has("renovate"));
+});
+
+test("loadProfiles() overrides built-in profiles from an array", async () => {
+  const profiles = await loadProfiles(
+    writeProfiles([
+      { name: "renovate", title: "^chore\\(deps\\): update {library}" },
+    ]),
+  );
+  assert.equal(
+    profiles.get("renovate")?.title,
+    "^chore\\(deps\\): update {library}",
+  );
+  assert.equal(profiles.get("renovate")?.workflow, null);
+});
+
+test("loadProfiles() needs a name and a title for every profile", async () => {
+  await assert.rejects(
+    loadProfiles(writeProfiles([{ name: "untitled" }])),
+    /every profile needs a name and a title/,
+  );
+});
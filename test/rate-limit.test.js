@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Octokit } from "@octoherd/cli";
+
+import { formatRateLimitUsage, meterRateLimit } from "../lib/rate-limit.js";
+
+/**
+ * An Octokit whose responses count up the rate limit used in a single
+ * window: 1 per REST request, 2 per GraphQL query.
+ */
+function createOctokit() {
+  /** @type {Record<string, number>} */
+  const used = { core: 100, graphql: 10 };
+  return new Octokit({
+    auth: "token",
+    request: {
+      async fetch(url) {
+        const graphql = new URL(url).pathname === "/graphql";
+        const resource = graphql ? "graphql" : "core";
+        used[resource] += graphql ? 2 : 1;
+        return new Response(JSON.stringify(graphql ? { data: {} } : {}), {
+          headers: {
+            "content-type": "application/json",
+            "x-ratelimit-resource": resource,
+            "x-ratelimit-used": String(used[resource]),
+            "x-ratelimit-remaining": String(5000 - used[resource]),
+            "x-ratelimit-reset": "1700000000",
+          },
+        });
+      },
+    },
+    // Mutations are spaced a second apart otherwise.
+    throttle: { enabled: false },
+  });
+}
+
+test("each repository is charged for what its requests cost", async () => {
+  const octokit = createOctokit();
+
+  const first = meterRateLimit(octokit);
+  await octokit.request("GET /repos/o/a");
+  await octokit.request("GET /repos/o/a/pulls");
+  await octokit.graphql("query { viewer { login } }");
+  await octokit.graphql("query { viewer { login } }");
+  // Without an earlier response in the window, the first one costs 1.
+  assert.equal(
+    formatRateLimitUsage(first),
+    "2 REST requests, 2 GraphQL queries; used core 2 (4898 left), graphql 3 (4986 left)",
+  );
+
+  const second = meterRateLimit(octokit);
+  await octokit.request("GET /repos/o/b");
+  assert.equal(
+    formatRateLimitUsage(second),
+    "1 REST requests, 0 GraphQL queries; used core 1 (4897 left)",
+  );
+  assert.equal(first.requests, 2);
+});
+
+test("leaves out the rate limit used when GitHub didn't say", () => {
+  assert.equal(
+    formatRateLimitUsage({ requests: 0, queries: 0, used: {}, remaining: {} }),
+    "0 REST requests, 0 GraphQL queries",
+  );
+});
@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import { Octokit } from "@octoherd/cli";
+
+import {
+  currentTime,
+  endSession,
+  readRecording,
+  replayArguments,
+  skipTime,
+  startRecording,
+  startReplay,
+} from "../lib/recording.js";
+
+const repository = { full_name: "o/r", name: "r", owner: { login: "o" } };
+const outcome = {
+  repository: "o/r",
+  outcome: "no-pr",
+  reason: "no PR",
+  dryRun: false,
+};
+
+/**
+ * An Octokit that sends requests to `fetch`.
+ *
+ * @param {(url: string) => Response} fetch
+ */
+function createOctokit(fetch) {
+  return new Octokit({
+    auth: "token",
+    request: { fetch: async (url) => fetch(url) },
+    log: { debug() {}, info() {}, warn() {}, error() {} },
+  });
+}
+
+test("replays a recording without the network", async () => {
+  const directory = mkdtempSync(join(tmpdir(), "recordings-"));
+  const recorder = createOctokit(
+    (url) =>
+      new Response(JSON.stringify({ url }), {
+        status: url.endsWith("/topics") ? 404 : 200,
+        headers: { "content-type": "application/json" },
+      }),
+  );
+  startRecording(recorder, directory, repository);
+  await recorder.request("GET /repos/{owner}/{repo}/pulls", {
+    owner: "o",
+    repo: "r",
+  });
+  await assert.rejects(
+    recorder.request("GET /repos/{owner}/{repo}/topics", {
+      owner: "o",
+      repo: "r",
+    }),
+    { status: 404 },
+  );
+  endSession(outcome);
+
+  const recording = readRecording(directory, "o/r");
+  assert.deepEqual(recording.repositoryPayload, repository);
+  assert.deepEqual(recording.outcome, outcome);
+  // Octoherd's lookup of the repository, in the layout of its request cache.
+  assert.deepEqual(
+    JSON.parse(readFileSync(join(directory, "lookups/repos/o/r.json"), "utf-8"))
+      .data,
+    repository,
+  );
+
+  const replayer = createOctokit((url) => {
+    throw new Error(`sent ${url}`);
+  });
+  startReplay(replayer, directory, recording);
+  const { data } = await replayer.request("GET /repos/{owner}/{repo}/pulls", {
+    owner: "o",
+    repo: "r",
+  });
+  assert.equal(data.url, "https://api.github.com/repos/o/r/pulls");
+  await assert.rejects(
+    replayer.request("GET /repos/{owner}/{repo}/topics", {
+      owner: "o",
+      repo: "r",
+    }),
+    { status: 404 },
+  );
+  await assert.rejects(
+    replayer.request("GET /repos/{owner}/{repo}/issues", {
+      owner: "o",
+      repo: "r",
+    }),
+    /GET \/repos\/o\/r\/issues is not in /,
+  );
+
+  // The clock starts when the recording was made, and skips waits.
+  const recordedAt = Date.parse(recording.recordedAt);
+  assert.ok(currentTime() - recordedAt < 60 * 1000);
+  assert.equal(skipTime(60 * 60 * 1000), true);
+  assert.ok(currentTime() - recordedAt >= 60 * 60 * 1000);
+  endSession(outcome);
+  assert.equal(skipTime(1000), false);
+});
+
+test("replayArguments() points Octoherd at the recorded lookups", () => {
+  assert.deepEqual(replayArguments(["-R", "o/r", "--majorVersion", "v11"]), []);
+  assert.deepEqual(replayArguments(["-R", "o/r", "--replay", "recordings"]), [
+    "--octoherd-cache",
+    join("recordings", "lookups"),
+    "--octoherd-token",
+    "replay",
+  ]);
+  assert.deepEqual(
+    replayArguments([
+      "--replay=recordings",
+      "-T",
+      "ghp_token",
+      "--octoherd-cache=cache",
+    ]),
+    [],
+  );
+});
@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  isRenovatePullRequest,
+  listForeignCommits,
+  requestRenovateRebase,
+} from "../lib/renovate.js";
+
+const baseParams = { owner: "o", repo: "r" };
+
+/**
+ * @param {string} sha
+ * @param {string | undefined} login
+ * @param {string} name
+ * @param {string} email
+ */
+const commit = (sha, login, name, email) => ({
+  sha,
+  author: login ? { login } : null,
+  commit: { author: { name, email } },
+});
+
+/**
+ * An octokit whose paginated lists are `items`, and a plan that keeps the
+ * requests it is asked to send.
+ *
+ * @param {any[]} items
+ */
+function fakeGitHub(items) {
+  const requests = [];
+  const octokit = {
+    async paginate() {
+      return items;
+    },
+  };
+  const plan = {
+    async request(route, parameters) {
+      requests.push({ route, body: parameters.body });
+    },
+  };
+  return { octokit, plan, requests };
+}
+
+test("isRenovatePullRequest() knows Renovate by its checkbox or login", () => {
+  assert.equal(
+    isRenovatePullRequest({ user: { login: "renovate[bot]" } }),
+    true,
+  );
+  assert.equal(
+    isRenovatePullRequest({
+      body: "- [ ] <!-- rebase-check -->If you want to rebase",
+      user: { login: "self-hosted" },
+    }),
+    true,
+  );
+  assert.equal(
+    isRenovatePullRequest({ user: { login: "dependabot[bot]" } }),
+    false,
+  );
+});
+
+test("listForeignCommits() leaves out Renovate's commits", async () => {
+  const { octokit } = fakeGitHub([
+    // Self-hosted Renovate, with an author that isn't linked to an account.
+    commit("a1", undefined, "Platform Bot", "bot@example.com"),
+    commit("a2", undefined, "Platform Bot", "bot@example.com"),
+    commit(
+      "a3",
+      "renovate[bot]",
+      "renovate[bot]",
+      "29139614+renovate[bot]@users.noreply.github.com",
+    ),
+    commit("a4", "opener", "Opener", "opener@example.com"),
+    commit("a5", undefined, "Renovate Bot", "renovate@example.com"),
+    commit("b1", "octocat", "Octocat", "octocat@example.com"),
+    commit("b2", undefined, "Someone", "someone@example.com"),
+  ]);
+  assert.deepEqual(
+    await listForeignCommits(octokit, baseParams, {
+      number: 1,
+      user: { login: "opener" },
+    }),
+    [
+      { sha: "b1", author: "octocat" },
+      { sha: "b2", author: "Someone" },
+    ],
+  );
+});
+
+test("requestRenovateRebase() ticks the rebase checkbox", async () => {
+  const { octokit, plan, requests } = fakeGitHub([]);
+  const pr = { number: 1, body: "Update\n\n- [ ] <!-- rebase-check -->Rebase" };
+  assert.equal(
+    await requestRenovateRebase(octokit, {
+      baseParams,
+      pr,
+      method: "checkbox",
+      plan,
+    }),
+    "requested",
+  );
+  assert.deepEqual(requests, [
+    {
+      route: "PATCH /repos/{owner}/{repo}/pulls/{pull_number}",
+      body: "Update\n\n- [x] <!-- rebase-check -->Rebase",
+    },
+  ]);
+  assert.equal(
+    await requestRenovateRebase(octokit, {
+      baseParams,
+      pr: { number: 1, body: requests[0].body },
+      method: "checkbox",
+      plan,
+    }),
+    "already-requested",
+  );
+});
+
+test("requestRenovateRebase() comments once without a checkbox", async () => {
+  const { octokit, plan, requests } = fakeGitHub([]);
+  const pr = { number: 1, body: "Update" };
+  assert.equal(
+    await requestRenovateRebase(octokit, {
+      baseParams,
+      pr,
+      method: "checkbox",
+      plan,
+    }),
+    "requested",
+  );
+  assert.deepEqual(requests, [
+    {
+      route: "POST /repos/{owner}/{repo}/issues/{issue_number}/comments",
+      body: "@renovate rebase",
+    },
+  ]);
+
+  const commented = fakeGitHub([{ body: " @renovate rebase\n" }]);
+  assert.equal(
+    await requestRenovateRebase(commented.octokit, {
+      baseParams,
+      pr,
+      method: "comment",
+      plan: commented.plan,
+    }),
+    "already-requested",
+  );
+  assert.deepEqual(commented.requests, []);
+});
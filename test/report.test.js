@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import {
+  recordOutcome,
+  resolveReportFormat,
+  writeReport,
+} from "../lib/report.js";
+
+const directory = mkdtempSync(join(tmpdir(), "report-"));
+
+recordOutcome({
+  repository: "o/b",
+  outcome: "checks-failing",
+  reason: 'failing: "build", lint | test',
+  pr: "https://github.com/o/b/pull/2",
+  dryRun: true,
+});
+recordOutcome({
+  repository: "o/a",
+  outcome: "merged",
+  reason: "squash merged",
+  pr: "https://github.com/o/a/pull/1",
+  closed: ["https://github.com/o/a/pull/0"],
+  config: "mergeMethod=squash",
+  dryRun: false,
+});
+// A later outcome for the same repository replaces the earlier one.
+recordOutcome({
+  repository: "o/c",
+  outcome: "no-pr",
+  reason: "no PR",
+  dryRun: false,
+});
+recordOutcome({
+  repository: "o/c",
+  outcome: "merged",
+  reason: "squash merged",
+  dryRun: false,
+});
+
+test("resolveReportFormat() goes by the extension unless told", () => {
+  assert.equal(resolveReportFormat("report.md"), "markdown");
+  assert.equal(resolveReportFormat("report.CSV"), "csv");
+  assert.equal(resolveReportFormat("report.txt"), "json");
+  assert.equal(resolveReportFormat("report.md", "json"), "json");
+  assert.throws(
+    () => resolveReportFormat("report.md", "html"),
+    /Unknown report format "html", use one of: json, markdown, csv/,
+  );
+});
+
+test("writes JSON with counts, sorted by repository", () => {
+  const path = join(directory, "report.json");
+  writeReport(path);
+  const report = JSON.parse(readFileSync(path, "utf-8"));
+  assert.deepEqual(report.counts, { merged: 2, "checks-failing": 1 });
+  assert.deepEqual(
+    report.repositories.map(({ repository }) => repository),
+    ["o/a", "o/b", "o/c"],
+  );
+});
+
+test("writes a markdown table", () => {
+  const path = join(directory, "nested", "report.md");
+  writeReport(path);
+  assert.equal(
+    readFileSync(path, "utf-8"),
+    `| Repository | Outcome | PR | Reason | Closed | Repository config |
+| --- | --- | --- | --- | --- | --- |
+| o/a | merged | https://github.com/o/a/pull/1 | squash merged | https://github.com/o/a/pull/0 | mergeMethod=squash |
+| o/b | checks-failing (dry run) | https://github.com/o/b/pull/2 | failing: "build", lint \\| test |  |  |
+| o/c | merged |  | squash merged |  |  |
+
+| Outcome | Count |
+| --- | --- |
+| merged | 2 |
+| checks-failing | 1 |
+`,
+  );
+});
+
+test("writes CSV", () => {
+  const path = join(directory, "report.csv");
+  writeReport(path);
+  assert.equal(
+    readFileSync(path, "utf-8"),
+    `repository,outcome,pr,reason,closed,config,dry_run
+o/a,merged,https://github.com/o/a/pull/1,squash merged,https://github.com/o/a/pull/0,mergeMethod=squash,false
+o/b,checks-failing,https://github.com/o/b/pull/2,"failing: ""build"", lint | test",,,true
+o/c,merged,,squash merged,,,false
+`,
+  );
+});
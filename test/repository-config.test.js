@@ -0,0 +1,184 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  describeRepositoryConfig,
+  isAllowed,
+  isInMaintenanceWindow,
+  loadRepositoryConfig,
+} from "../lib/repository-config.js";
+
+/**
+ * Load a config file with the given content, or none when `undefined`.
+ *
+ * @param {string | undefined} content
+ */
+function load(content) {
+  const octokit = {
+    async request() {
+      if (content === undefined) {
+        throw Object.assign(new Error("Not Found"), { status: 404 });
+      }
+      return { data: { content: Buffer.from(content).toString("base64") } };
+    },
+  };
+  return loadRepositoryConfig(octokit, { owner: "o", repo: "r" }, "main");
+}
+
+test("loadRepositoryConfig() reads the settings", async () => {
+  assert.deepEqual(await load(undefined), {});
+  assert.deepEqual(await load(""), {});
+  assert.deepEqual(
+    await load(`merge: false
+mergeMethod: rebase
+fixers:
+  workflow-pnpm-version: false
+maintenanceWindow:
+  days: [Mon, tuesday]
+  hours: "22:00-02:00"
+  timezone: Europe/Berlin
+`),
+    {
+      merge: false,
+      mergeMethod: "rebase",
+      fixers: { "workflow-pnpm-version": false },
+      maintenanceWindow: {
+        days: ["Mon", "tuesday"],
+        hours: "22:00-02:00",
+        timezone: "Europe/Berlin",
+      },
+    },
+  );
+});
+
+test("loadRepositoryConfig() rejects invalid settings with every problem", async () => {
+  await assert.rejects(load("- merge"), /must be a mapping of settings/);
+  await assert.rejects(
+    load(`merge: "no"
+mergeMethod: fast-forward
+libraries:
+  allow: cdk
+colour: blue
+`),
+    {
+      message:
+        '.github/octoherd-driver.yml: unknown setting "colour"; libraries.allow must be a list of names; merge must be true or false; mergeMethod must be one of squash, merge, rebase',
+    },
+  );
+});
+
+test("loadRepositoryConfig() rejects malformed maintenance windows", async () => {
+  for (const [window, problem] of [
+    ['"09:00-17:00"', /maintenanceWindow must be a mapping/],
+    ["[mon]", /maintenanceWindow must be a mapping/],
+    ["\n  days: [someday]", /days must be a list of weekdays/],
+    ['\n  hours: "9-17"', /hours must look like "09:00-17:00"/],
+    ['\n  hours: "24:00-08:00"', /from 00:00 to 23:59/],
+    ['\n  hours: "08:60-09:00"', /from 00:00 to 23:59/],
+    ["\n  timezone: Mars/Olympus", /unknown maintenanceWindow.timezone/],
+    ['\n  hour: "09:00-17:00"', /unknown setting "maintenanceWindow.hour"/],
+  ]) {
+    await assert.rejects(load(`maintenanceWindow: ${window}`), problem);
+  }
+});
+
+test("isAllowed() checks allow and deny lists", () => {
+  assert.equal(isAllowed(undefined, "a"), true);
+  assert.equal(isAllowed({ allow: ["a"] }, "a"), true);
+  assert.equal(isAllowed({ allow: ["a"] }, "b"), false);
+  assert.equal(isAllowed({ deny: ["a"] }, "a"), false);
+  assert.equal(isAllowed({ deny: ["a"] }, "b"), true);
+});
+
+test("isInMaintenanceWindow() checks days and hours in the time zone", () => {
+  const window = {
+    days: ["mon"],
+    hours: "09:00-17:00",
+    timezone: "Europe/Berlin",
+  };
+  // Monday 2026-10-19, 10:00 and 18:00 in Berlin
+  assert.equal(
+    isInMaintenanceWindow(window, new Date("2026-10-19T08:00:00Z")),
+    true,
+  );
+  assert.equal(
+    isInMaintenanceWindow(window, new Date("2026-10-19T16:00:00Z")),
+    false,
+  );
+  // Tuesday
+  assert.equal(
+    isInMaintenanceWindow(window, new Date("2026-10-20T08:00:00Z")),
+    false,
+  );
+  assert.equal(
+    isInMaintenanceWindow({}, new Date("2026-10-20T08:00:00Z")),
+    true,
+  );
+});
+
+test("isInMaintenanceWindow() counts hours past midnight as the day the window starts", () => {
+  const window = { days: ["fri"], hours: "22:00-02:00" };
+  // Friday 2026-10-23
+  assert.equal(
+    isInMaintenanceWindow(window, new Date("2026-10-23T23:00:00Z")),
+    true,
+  );
+  assert.equal(
+    isInMaintenanceWindow(window, new Date("2026-10-24T01:00:00Z")),
+    true,
+  );
+  assert.equal(
+    isInMaintenanceWindow(window, new Date("2026-10-23T01:00:00Z")),
+    false,
+  );
+  assert.equal(
+    isInMaintenanceWindow(window, new Date("2026-10-24T23:00:00Z")),
+    false,
+  );
+  assert.equal(
+    isInMaintenanceWindow(window, new Date("2026-10-23T12:00:00Z")),
+    false,
+  );
+});
+
+test("isInMaintenanceWindow() takes the same start and end as a whole day", () => {
+  // Monday 2026-10-19
+  assert.equal(
+    isInMaintenanceWindow(
+      { days: ["mon"], hours: "00:00-00:00" },
+      new Date("2026-10-19T12:00:00Z"),
+    ),
+    true,
+  );
+  assert.equal(
+    isInMaintenanceWindow(
+      { days: ["mon"], hours: "00:00-00:00" },
+      new Date("2026-10-20T00:00:00Z"),
+    ),
+    false,
+  );
+  assert.equal(
+    isInMaintenanceWindow(
+      { days: ["mon"], hours: "09:00-09:00" },
+      new Date("2026-10-20T08:59:00Z"),
+    ),
+    true,
+  );
+});
+
+test("describeRepositoryConfig() lists the settings in effect", () => {
+  assert.equal(
+    describeRepositoryConfig({
+      approve: false,
+      fixers: { "workflow-pnpm-version": false },
+      libraries: { deny: ["a", "b"] },
+      maintenanceWindow: { days: ["mon", "tue"], hours: "09:00-17:00" },
+    }),
+    "approve=false, fixers.workflow-pnpm-version=false, libraries.deny=a,b, maintenanceWindow=mon,tue 09:00-17:00",
+  );
+  assert.equal(
+    describeRepositoryConfig({ maintenanceWindow: {} }),
+    "maintenanceWindow=always",
+  );
+  assert.equal(describeRepositoryConfig({}), "");
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+import { getRollout } from "../lib/rollout.js";
+
+/**
+ * @param {Partial<Parameters<typeof getRollout>[0]>} [options]
+ */
+function rollout(options = {}) {
+  return getRollout({
+    statePath: join(mkdtempSync(join(tmpdir(), "rollout-")), "state.json"),
+    key: "renovate @time-loop/cdk-library v11",
+    canaries: ["o/Canary", "o/other"],
+    ...options,
+  });
+}
+
+test("waits for every canary to be green", () => {
+  const statePath = join(mkdtempSync(join(tmpdir(), "rollout-")), "state.json");
+  const first = rollout({ statePath });
+  assert.equal(first.isCanary("o/canary"), true);
+  assert.equal(first.isCanary("o/r"), false);
+  assert.deepEqual(first.pendingCanaries(), [
+    "o/Canary (not run)",
+    "o/other (not run)",
+  ]);
+
+  first.recordCanary("o/canary", { state: "green", reason: "checks passed" });
+  first.recordCanary("o/other", { state: "merged", reason: "checks pending" });
+  assert.deepEqual(first.pendingCanaries(), ["o/other (merged)"]);
+
+  // The state file outlives the run, and keeps rollouts apart.
+  const state = JSON.parse(readFileSync(statePath, "utf-8"));
+  assert.equal(
+    state.rollouts["renovate @time-loop/cdk-library v11"].canaries["o/Canary"]
+      .state,
+    "green",
+  );
+  const next = rollout({
+    statePath,
+    key: "renovate @time-loop/cdk-library v12",
+  });
+  assert.equal(next.pendingCanaries().length, 2);
+});
+
+test("never writes the state file when read-only", () => {
+  const statePath = join(mkdtempSync(join(tmpdir(), "rollout-")), "state.json");
+  rollout({ statePath, readOnly: true }).recordCanary("o/canary", {
+    state: "green",
+    reason: "checks passed",
+  });
+  assert.equal(existsSync(statePath), false);
+});
+
+test("spends the failure budget within the run", () => {
+  const budget = rollout({ canaries: [], failureBudget: 2 });
+  budget.recordFailure("o/a", "checks failing");
+  assert.equal(budget.budgetSpent(), false);
+  budget.recordFailure("o/b", "checks failing");
+  assert.equal(budget.budgetSpent(), true);
+  assert.equal(rollout({ canaries: [] }).budgetSpent(), false);
+});
+
+test("is the same rollout for every repository of the run", () => {
+  const statePath = join(mkdtempSync(join(tmpdir(), "rollout-")), "state.json");
+  const options = { statePath, key: "k", canaries: [], failureBudget: 1 };
+  getRollout(options).recordFailure("o/a", "checks failing");
+  assert.equal(getRollout({ ...options }).budgetSpent(), true);
+});
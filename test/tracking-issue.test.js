@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parseTrackingIssue,
+  updateChecklist,
+  updateTrackingIssue,
+} from "../lib/tracking-issue.js";
+
+const start = "<!-- octoherd-renovate-driver:tracking -->";
+const end = "<!-- /octoherd-renovate-driver:tracking -->";
+const now = new Date("2026-10-19T12:34:56.789Z");
+const issue = { owner: "o", repo: "upgrades", issue_number: 12 };
+
+/**
+ * Update the tracking issue with `body` for `outcome`, and return the body
+ * it was updated to, if it was.
+ *
+ * @param {string | null} body
+ * @param {any} outcome
+ */
+async function update(body, outcome) {
+  let updated;
+  const octokit = {
+    async request() {
+      return { data: { body } };
+    },
+  };
+  const plan = {
+    async request(route, parameters) {
+      updated = parameters.body;
+    },
+  };
+  await updateTrackingIssue(octokit, { issue, outcome, plan, now });
+  return updated;
+}
+
+test("parseTrackingIssue() reads owner/repo#number", () => {
+  assert.deepEqual(parseTrackingIssue(" o/upgrades#12 "), issue);
+  assert.throws(() => parseTrackingIssue("o/upgrades"), /is not an issue/);
+});
+
+test("updateChecklist() adds a checklist below the rest of the body", () => {
+  assert.equal(
+    updateChecklist("Upgrade to v11.\n", "o/b", "- b"),
+    `Upgrade to v11.\n\n${start}\n- b\n${end}\n`,
+  );
+  assert.equal(updateChecklist("", "o/b", "- b"), `${start}\n- b\n${end}`);
+});
+
+test("updateChecklist() replaces the repository's line and keeps lines sorted", () => {
+  const line = (name, text) => `- [ ] <!-- repository=${name} -->${text}`;
+  const body = `Intro\n\n${start}\n${line("o/a", "a")}\n${line("o/c", "c")}\n${end}\n\nOutro`;
+  assert.equal(
+    updateChecklist(
+      updateChecklist(body, "o/b", line("o/b", "b")),
+      "o/a",
+      line("o/a", "a again"),
+    ),
+    `Intro\n\n${start}\n${line("o/a", "a again")}\n${line("o/b", "b")}\n${line("o/c", "c")}\n${end}\n\nOutro`,
+  );
+});
+
+test("ticks the line once the PR is merged, and while it is verified", async () => {
+  for (const [outcome, checked] of [
+    ["merged", "x"],
+    ["already-merged", "x"],
+    ["verifying", "x"],
+    ["verified", "x"],
+    ["verify-failing", "x"],
+    ["canary-failing", "x"],
+    ["checks-failing", " "],
+    ["no-pr", " "],
+  ]) {
+    const updated = await update(null, {
+      repository: "o/r",
+      outcome,
+      reason: "because\nof reasons",
+      pr: "https://github.com/o/r/pull/9",
+      dryRun: false,
+    });
+    assert.equal(
+      updated,
+      `${start}\n- [${checked}] <!-- repository=o/r -->**o/r** · https://github.com/o/r/pull/9 · \`${outcome}\`: because of reasons · updated 2026-10-19T12:34Z\n${end}`,
+    );
+  }
+});
+
+test("doesn't update the issue when nothing changed", async () => {
+  const outcome = {
+    repository: "o/r",
+    outcome: "no-pr",
+    reason: "no PR",
+    dryRun: false,
+  };
+  const body = await update("", outcome);
+  assert.match(body ?? "", /\*\*o\/r\*\* · no PR · `no-pr`/);
+  assert.equal(await update(body ?? "", outcome), undefined);
+});
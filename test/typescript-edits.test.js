@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { projenrcPackageManager } from "../lib/fixers/projenrc-package-manager.js";
+import {
+  getSyntaxErrors,
+  removeNewlyUnusedImports,
+} from "../lib/typescript-edits.js";
+
+const log = { info() {}, warn() {}, error() {} };
+
+/**
+ * @param {string | undefined} content
+ */
+function fix(content) {
+  return projenrcPackageManager.fix(
+    { ".projenrc.ts": content },
+    {
+      octokit: { log },
+      repoFullName: "o/r",
+      pr: {},
+      majorVersion: "projen",
+      options: {},
+    },
+  );
+}
+
+test("removes packageManager and pnpmVersion, and the import they used", () => {
+  const before = `import { clickupCdk } from "@time-loop/clickup-projen";
+import { javascript } from "projen";
+
+const project = new clickupCdk.ClickUpCdkTypeScriptApp({
+  name: "app",
+  // pinned for CI
+  packageManager: javascript.NodePackageManager.PNPM,
+  pnpmVersion: "8",
+  deps: ["aws-cdk-lib"], // runtime
+});
+project.synth();
+`;
+  assert.deepEqual(fix(before), {
+    ".projenrc.ts": `import { clickupCdk } from "@time-loop/clickup-projen";
+
+const project = new clickupCdk.ClickUpCdkTypeScriptApp({
+  name: "app",
+  deps: ["aws-cdk-lib"], // runtime
+});
+project.synth();
+`,
+  });
+});
+
+test("keeps imports that are still used", () => {
+  const before = `import { javascript } from "projen";
+
+const project = new javascript.NodeProject({
+  name: "lib",
+  packageManager: javascript.NodePackageManager.PNPM,
+  pnpmVersion: "9",
+});
+`;
+  const after = fix(before)[".projenrc.ts"];
+  assert.equal(
+    after,
+    `import { javascript } from "projen";
+
+const project = new javascript.NodeProject({
+  name: "lib",
+});
+`,
+  );
+});
+
+test("leaves other package managers alone", () => {
+  const content = `const project = new NodeProject({
+  packageManager: javascript.NodePackageManager.YARN,
+  pnpmVersion: "9",
+});
+`;
+  assert.deepEqual(fix(content), {});
+});
+
+test("skips missing and unparsable files", () => {
+  assert.deepEqual(fix(undefined), {});
+  assert.deepEqual(
+    fix("const project = new NodeProject({ packageManager: "),
+    {},
+  );
+});
+
+test("getSyntaxErrors() reports line and column", () => {
+  assert.deepEqual(getSyntaxErrors("const a = 1;\n", "a.ts"), []);
+  assert.match(getSyntaxErrors("const a = ;\n", "a.ts")[0], /^1:11 /);
+});
+
+test("removeNewlyUnusedImports() leaves imports that were already unused", () => {
+  const before = `import { a, b } from "x";
+import unused from "y";
+a(b);
+`;
+  const after = `import { a, b } from "x";
+import unused from "y";
+a();
+`;
+  assert.equal(
+    removeNewlyUnusedImports(before, after, "a.ts"),
+    `import { a } from "x";
+import unused from "y";
+a();
+`,
+  );
+});
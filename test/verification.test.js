@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { formatVerification, verifyMergeCommit } from "../lib/verification.js";
+
+/**
+ * An octokit whose workflows have the given latest runs on the merge
+ * commit. Workflows missing from `runs` don't exist.
+ *
+ * @param {Record<string, any[]>} runs
+ */
+function createOctokit(runs) {
+  return {
+    async request(route, { workflow_id }) {
+      if (!(workflow_id in runs)) {
+        throw Object.assign(new Error("Not Found"), { status: 404 });
+      }
+      return { data: { workflow_runs: runs[workflow_id] } };
+    },
+  };
+}
+
+test("the latest run of each workflow counts, missing workflows are left out", async () => {
+  const octokit = createOctokit({
+    "build.yml": [
+      {
+        status: "completed",
+        conclusion: "success",
+        html_url: "https://github.com/o/r/actions/runs/1",
+      },
+    ],
+    "release.yml": [
+      {
+        status: "completed",
+        conclusion: "failure",
+        html_url: "https://github.com/o/r/actions/runs/2",
+      },
+    ],
+    "docs.yml": [],
+    "e2e.yml": [
+      { status: "in_progress", html_url: "https://github.com/o/r/runs/3" },
+    ],
+  });
+
+  const results = await verifyMergeCommit(
+    octokit,
+    { owner: "o", repo: "r" },
+    "abc",
+    ["build.yml", "release.yml", "docs.yml", "e2e.yml", "gone.yml"],
+  );
+
+  assert.deepEqual(
+    results.map(({ workflow, state }) => `${workflow} ${state}`),
+    [
+      "build.yml success",
+      "release.yml failure",
+      "docs.yml not-run",
+      "e2e.yml pending",
+    ],
+  );
+  assert.equal(
+    formatVerification(results),
+    "build.yml success, release.yml failure https://github.com/o/r/actions/runs/2, docs.yml not-run, e2e.yml pending",
+  );
+});
+
+test("says so when none of the workflows exist", () => {
+  assert.equal(formatVerification([]), "none of the workflows to verify exist");
+});
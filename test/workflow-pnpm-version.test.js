@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { workflowPnpmVersion } from "../lib/fixers/workflow-pnpm-version.js";
+
+const log = { info() {}, warn() {} };
+
+/**
+ * @param {Record<string, string | undefined>} files
+ * @param {Record<string, any>} [options]
+ */
+function fix(files, options = {}) {
+  return workflowPnpmVersion.fix(files, {
+    octokit: { log },
+    repoFullName: "o/r",
+    pr: {},
+    majorVersion: "projen",
+    options,
+  });
+}
+
+const build = `name: build # keep
+on: [push]
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: pnpm/action-setup@v4
+        with:
+          version: "8.15.0" # pinned
+      - uses: actions/setup-node@v4
+        with:
+          version: 8.15.0
+  release:
+    steps:
+      - uses: pnpm/action-setup@v3
+        with:
+          version: '8'
+`;
+
+test("updates every pnpm/action-setup version in place", () => {
+  assert.deepEqual(
+    fix({ ".github/workflows/build.yml": build }, { pnpmVersion: "10.22.0" }),
+    {
+      ".github/workflows/build.yml": `name: build # keep
+on: [push]
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: pnpm/action-setup@v4
+        with:
+          version: "10.22.0" # pinned
+      - uses: actions/setup-node@v4
+        with:
+          version: 8.15.0
+  release:
+    steps:
+      - uses: pnpm/action-setup@v3
+        with:
+          version: '10.22.0'
+`,
+    },
+  );
+});
+
+test("takes the version from packageManager in package.json", () => {
+  const updated = fix({
+    "package.json": JSON.stringify({
+      packageManager: "pnpm@9.1.0+sha512.abc",
+    }),
+    ".github/workflows/build.yml": build,
+  });
+  assert.match(updated[".github/workflows/build.yml"], /version: "9\.1\.0"/);
+  assert.equal(Object.keys(updated).length, 1);
+});
+
+test("leaves workflows that are up to date, invalid or not workflows", () => {
+  assert.deepEqual(
+    fix(
+      {
+        ".github/workflows/build.yml": build
+          .replaceAll("8.15.0", "9")
+          .replace("'8'", "'9'"),
+        ".github/workflows/broken.yml": "jobs: [",
+        ".github/workflows/notes.md": build,
+        ".github/workflows/gone.yml": undefined,
+      },
+      { pnpmVersion: "9" },
+    ),
+    {},
+  );
+});
+
+test("does nothing without a version to set", () => {
+  assert.deepEqual(fix({ ".github/workflows/build.yml": build }), {});
+  assert.deepEqual(
+    fix({
+      "package.json": JSON.stringify({ packageManager: "yarn@4.0.0" }),
+      ".github/workflows/build.yml": build,
+    }),
+    {},
+  );
+});